@@ -77,10 +77,91 @@ function injectStyles() {
   }
 }
 
+// chrome.storage.sync key of the SQL macro library edited in options.html
+const SQL_MACROS_STORAGE_KEY = "sqlMacros";
+
+// Helper scripts used by notebook.js, injected in order before it
+const NOTEBOOK_DEPENDENCIES = [
+  "sql-splitter.js",
+  "sql-macros.js",
+  "redash-api.js",
+  "markdown-renderer.js",
+  "notebook-export.js",
+  "notebook-import.js",
+  "notebook-params.js",
+  "notebook-references.js",
+  "notebook-graph.js",
+];
+
+/**
+ * Inject a single extension script into the page context
+ * @param {string} fileName - Script file name inside the extension
+ * @returns {Promise} Resolves once the script has loaded
+ */
+function injectPageScript(fileName) {
+  return new Promise((resolve, reject) => {
+    try {
+      const script = document.createElement("script");
+      script.src = chrome.runtime.getURL(fileName);
+      script.onload = function () {
+        this.remove();
+        customLogger.log(`Re-Redash: ${fileName} loaded successfully`);
+        resolve();
+      };
+      script.onerror = function () {
+        customLogger.error(`Re-Redash: Failed to load ${fileName}`);
+        reject(new Error(`Failed to load ${fileName}`));
+      };
+      (document.head || document.documentElement).appendChild(script);
+    } catch (error) {
+      customLogger.error(`Re-Redash: Error injecting ${fileName}:`, error);
+      reject(error);
+    }
+  });
+}
+
 /**
- * Inject notebook script into the page context
+ * Inject notebook script (and its dependencies) into the page context
  */
 function injectNotebookScript() {
+  NOTEBOOK_DEPENDENCIES.reduce(
+    (promise, fileName) => promise.then(() => injectPageScript(fileName)),
+    Promise.resolve()
+  )
+    .catch((error) => {
+      customLogger.error(
+        "Re-Redash: Error loading notebook dependencies:",
+        error
+      );
+    })
+    .then(() => {
+      sendSqlMacros();
+      injectNotebookMainScript();
+    });
+}
+
+/**
+ * Send the SQL macro library from the extension settings to sql-macros.js
+ */
+function sendSqlMacros() {
+  try {
+    chrome.storage.sync.get(SQL_MACROS_STORAGE_KEY, (items) => {
+      // Nothing saved yet, sql-macros.js uses its default library
+      const library = items[SQL_MACROS_STORAGE_KEY] ?? null;
+      window.dispatchEvent(
+        new CustomEvent("reRedashSqlMacros", { detail: { library } })
+      );
+      customLogger.log("Re-Redash: Sent SQL macros to the page");
+    });
+  } catch (error) {
+    customLogger.error("Re-Redash: Error reading SQL macros:", error);
+  }
+}
+
+/**
+ * Inject the main notebook script into the page context
+ */
+function injectNotebookMainScript() {
   try {
     const script = document.createElement("script");
     script.src = chrome.runtime.getURL("notebook.js");
@@ -294,6 +375,13 @@ function setupEventListeners() {
     // Handle responses if needed
   });
 
+  // Pass macro library edits from the extension settings on to the page
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === "sync" && changes[SQL_MACROS_STORAGE_KEY]) {
+      sendSqlMacros();
+    }
+  });
+
   customLogger.log(
     "Re-Redash: Event listeners set up for injected script communication"
   );
@@ -0,0 +1,218 @@
+/**
+ * Re-Redash Markdown Renderer
+ * Minimal, dependency-free markdown to HTML converter for notebook
+ * documentation cells (headings, emphasis, code, links, lists, quotes, tables)
+ */
+
+(function () {
+  "use strict";
+
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Only allow safe link targets (http, https, mailto and relative links)
+   * @param {string} url - Link target (already HTML escaped)
+   * @returns {string|null} The url or null if it is not allowed
+   */
+  function sanitizeUrl(url) {
+    const trimmed = url.trim();
+    if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+      return /^(https?|mailto):/i.test(trimmed) ? trimmed : null;
+    }
+    return trimmed;
+  }
+
+  /**
+   * Render inline markdown (code, links, emphasis) of escaped text
+   * @param {string} text - Raw text
+   * @returns {string} HTML
+   */
+  function renderInline(text) {
+    const codeSpans = [];
+
+    // Pull out code spans first so their content isn't formatted
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code>${code}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const safeUrl = sanitizeUrl(url);
+        return safeUrl
+          ? `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${label}</a>`
+          : label;
+      })
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/__([^_]+)__/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w_])_([^_\s][^_]*)_(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~([^~]+)~~/g, "<del>$1</del>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, i) => codeSpans[i]);
+  }
+
+  /**
+   * Split a table row into its cells
+   * @param {string} line - Table row
+   * @returns {Array<string>} Cell texts
+   */
+  function splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/\|$/, "")
+      .split("|")
+      .map((cell) => cell.trim());
+  }
+
+  const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  /**
+   * Render a markdown document to HTML
+   * @param {string} markdown - Markdown source
+   * @returns {string} HTML
+   */
+  function render(markdown) {
+    const lines = (markdown || "").replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    let paragraph = [];
+    let i = 0;
+
+    function flushParagraph() {
+      if (paragraph.length > 0) {
+        blocks.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`);
+        paragraph = [];
+      }
+    }
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code block
+      const fence = line.match(/^\s*```\s*([\w-]*)\s*$/);
+      if (fence) {
+        flushParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Skip closing fence
+        const language = fence[1] ? ` class="language-${fence[1]}"` : "";
+        blocks.push(
+          `<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`
+        );
+        continue;
+      }
+
+      // Blank line ends a paragraph
+      if (!line.trim()) {
+        flushParagraph();
+        i++;
+        continue;
+      }
+
+      // Heading
+      const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        flushParagraph();
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        blocks.push("<hr>");
+        i++;
+        continue;
+      }
+
+      // Table (header row followed by a separator row)
+      if (
+        line.includes("|") &&
+        i + 1 < lines.length &&
+        TABLE_SEPARATOR_PATTERN.test(lines[i + 1])
+      ) {
+        flushParagraph();
+        const header = splitTableRow(line);
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        const head = header.map((cell) => `<th>${renderInline(cell)}</th>`);
+        const body = rows.map(
+          (row) =>
+            `<tr>${header
+              .map((_, col) => `<td>${renderInline(row[col] || "")}</td>`)
+              .join("")}</tr>`
+        );
+        blocks.push(
+          `<table><thead><tr>${head.join("")}</tr></thead><tbody>${body.join(
+            ""
+          )}</tbody></table>`
+        );
+        continue;
+      }
+
+      // Blockquote
+      if (/^\s*>/.test(line)) {
+        flushParagraph();
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ""));
+          i++;
+        }
+        blocks.push(`<blockquote>${render(quote.join("\n"))}</blockquote>`);
+        continue;
+      }
+
+      // Lists
+      const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+      if (listItem) {
+        flushParagraph();
+        const ordered = /\d/.test(listItem[1]);
+        const items = [];
+        while (i < lines.length) {
+          const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+          if (!item || /\d/.test(item[1]) !== ordered) break;
+          items.push(`<li>${renderInline(item[2])}</li>`);
+          i++;
+        }
+        const tag = ordered ? "ol" : "ul";
+        blocks.push(`<${tag}>${items.join("")}</${tag}>`);
+        continue;
+      }
+
+      paragraph.push(line.trim());
+      i++;
+    }
+
+    flushParagraph();
+    return blocks.join("\n");
+  }
+
+  window.MarkdownRenderer = {
+    render,
+    renderInline,
+    escapeHtml,
+  };
+})();
@@ -0,0 +1,511 @@
+/**
+ * Re-Redash Notebook Export
+ * Converts notebook cells (and their latest results) to other formats:
+ * Jupyter notebooks (.ipynb, nbformat 4), standalone HTML reports and
+ * file downloads
+ */
+
+(function () {
+  "use strict";
+
+  // Configuration constants
+  const EXPORT_CONFIG = {
+    sqlMagic: "%%sql", // First line of exported SQL cells (ipython-sql / jupysql)
+    maxPlainTextColumnWidth: 40, // Truncate wide values in text/plain outputs
+  };
+
+  // Words highlighted as keywords in the SQL of HTML reports
+  const SQL_KEYWORDS = new Set(
+    (
+      "all and as asc between by case cast create delete desc distinct drop " +
+      "else end except exists false from full group having in inner insert " +
+      "intersect interval into is join left like limit not null offset on or " +
+      "order outer over partition right select set table then true union " +
+      "update using values when where window with"
+    ).split(" ")
+  );
+
+  // Styles embedded in HTML reports, which must not load anything external
+  const REPORT_STYLES = `
+    body { margin: 0; background: #f6f8fa; color: #24292f; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+    header { margin-bottom: 24px; }
+    header h1 { margin: 0 0 4px; font-size: 24px; }
+    .report-meta, .cell-meta { color: #656d76; font-size: 12px; }
+    section { margin-bottom: 16px; padding: 16px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+    section h2 { margin: 0 0 8px; font-size: 15px; }
+    .cell-tag { display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 10px; background: #ddf4ff; color: #0969da; font-size: 11px; font-weight: normal; }
+    pre { margin: 8px 0; padding: 12px; overflow-x: auto; background: #f6f8fa; border-radius: 6px; font: 13px/1.45 SFMono-Regular, Consolas, Menlo, monospace; white-space: pre-wrap; }
+    .sql-keyword { color: #cf222e; font-weight: 600; }
+    .sql-string { color: #0a3069; }
+    .sql-number { color: #0550ae; }
+    .sql-comment { color: #6e7781; font-style: italic; }
+    .sql-identifier { color: #8250df; }
+    .result { max-height: 480px; overflow: auto; border: 1px solid #d0d7de; border-radius: 6px; }
+    .result table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    .result th, .result td { padding: 4px 8px; border-bottom: 1px solid #eaeef2; text-align: left; white-space: nowrap; }
+    .result th { position: sticky; top: 0; background: #f6f8fa; }
+    .result-note { margin-top: 4px; color: #656d76; font-size: 12px; }
+    .result-error { padding: 8px 12px; background: #ffebe9; color: #cf222e; border-radius: 6px; white-space: pre-wrap; }
+    .markdown table { border-collapse: collapse; }
+    .markdown th, .markdown td { padding: 4px 8px; border: 1px solid #d0d7de; }
+    .markdown blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #d0d7de; color: #656d76; }
+    .markdown code { padding: 1px 4px; background: #f6f8fa; border-radius: 4px; }
+  `;
+
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Format a result value as plain text
+   * @param {*} value - Cell value from a query result row
+   * @returns {string} Text representation
+   */
+  function formatValue(value) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Split text into nbformat's multiline string representation
+   * @param {string} text - Text
+   * @returns {Array<string>} Lines, each but the last ending with "\n"
+   */
+  function toSourceLines(text) {
+    if (!text) return [];
+    const lines = text.split("\n");
+    return lines
+      .map((line, i) => (i < lines.length - 1 ? `${line}\n` : line))
+      .filter((line) => line.length > 0);
+  }
+
+  /**
+   * Render query result data as an HTML table
+   * @param {Object} data - Query result data ({ columns, rows })
+   * @param {number} maxRows - Maximum number of rows to include
+   * @returns {string} HTML string
+   */
+  function renderHtmlTable(data, maxRows) {
+    const rows = data.rows.slice(0, maxRows);
+    const header = data.columns
+      .map(
+        (column) =>
+          `<th>${escapeHtml(column.friendly_name || column.name)}</th>`
+      )
+      .join("");
+    const body = rows
+      .map(
+        (row) =>
+          `<tr>${data.columns
+            .map(
+              (column) =>
+                `<td>${escapeHtml(formatValue(row[column.name]))}</td>`
+            )
+            .join("")}</tr>`
+      )
+      .join("");
+    const footer =
+      data.rows.length > rows.length
+        ? `<p>Showing ${rows.length} of ${data.rows.length} rows</p>`
+        : "";
+
+    return `<table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>${footer}`;
+  }
+
+  /**
+   * Render query result data as an aligned plain text table
+   * @param {Object} data - Query result data ({ columns, rows })
+   * @param {number} maxRows - Maximum number of rows to include
+   * @returns {string} Plain text table
+   */
+  function renderPlainTable(data, maxRows) {
+    const maxWidth = EXPORT_CONFIG.maxPlainTextColumnWidth;
+    const clip = (text) =>
+      text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+
+    const header = data.columns.map((column) =>
+      clip(column.friendly_name || column.name)
+    );
+    const rows = data.rows
+      .slice(0, maxRows)
+      .map((row) =>
+        data.columns.map((column) => clip(formatValue(row[column.name])))
+      );
+    const widths = header.map((title, col) =>
+      Math.max(title.length, ...rows.map((row) => row[col].length))
+    );
+    const formatRow = (values) =>
+      values.map((value, col) => value.padEnd(widths[col])).join(" | ");
+
+    const lines = [
+      formatRow(header),
+      widths.map((width) => "-".repeat(width)).join("-+-"),
+      ...rows.map(formatRow),
+    ];
+    if (data.rows.length > rows.length) {
+      lines.push(`(showing ${rows.length} of ${data.rows.length} rows)`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Build the outputs of an exported SQL cell from its latest result
+   * @param {Object} result - Cell result from the notebook ({ status, queryResult, error })
+   * @param {number} executionCount - Execution count to assign
+   * @param {number} maxRows - Maximum number of rows to include
+   * @returns {Array<Object>} nbformat outputs
+   */
+  function buildOutputs(result, executionCount, maxRows) {
+    if (!result) return [];
+
+    if (result.status === "error") {
+      return [
+        {
+          output_type: "error",
+          ename: "QueryError",
+          evalue: result.error || "Query execution failed",
+          traceback: [],
+        },
+      ];
+    }
+
+    if (result.status !== "completed" || !result.queryResult) return [];
+
+    const data = result.queryResult.data || { columns: [], rows: [] };
+    if (data.columns.length === 0) return [];
+
+    return [
+      {
+        output_type: "execute_result",
+        execution_count: executionCount,
+        metadata: {},
+        data: {
+          "text/html": toSourceLines(renderHtmlTable(data, maxRows)),
+          "text/plain": toSourceLines(renderPlainTable(data, maxRows)),
+        },
+      },
+    ];
+  }
+
+  /**
+   * Convert notebook cells to a Jupyter notebook (nbformat 4.5)
+   * @param {Array<Object>} cells - Notebook cells ({ id, type, content, meta })
+   * @param {Object} options - { results: map of cell id to result, maxRows }
+   * @returns {Object} Notebook JSON object
+   */
+  function toIpynb(cells, options = {}) {
+    const results = options.results || {};
+    const maxRows = options.maxRows || Infinity;
+    let executionCount = 0;
+
+    const notebookCells = cells.map((cell) => {
+      const meta = cell.meta || {};
+      const metadata = {};
+      if (meta.tags && meta.tags.length > 0) {
+        metadata.tags = meta.tags.slice();
+      }
+      if (meta.name) {
+        metadata.re_redash = { name: meta.name };
+      }
+      if (meta.collapsed) {
+        metadata.jupyter = { source_hidden: true };
+      }
+
+      if (cell.type === "markdown") {
+        return {
+          id: cell.id,
+          cell_type: "markdown",
+          metadata,
+          source: toSourceLines(cell.content),
+        };
+      }
+
+      const outputs = buildOutputs(
+        results[cell.id],
+        executionCount + 1,
+        maxRows
+      );
+      const hasResult = outputs.some(
+        (output) => output.output_type === "execute_result"
+      );
+      if (hasResult) executionCount++;
+
+      return {
+        id: cell.id,
+        cell_type: "code",
+        execution_count: hasResult ? executionCount : null,
+        metadata,
+        outputs,
+        source: toSourceLines(`${EXPORT_CONFIG.sqlMagic}\n${cell.content}`),
+      };
+    });
+
+    return {
+      cells: notebookCells,
+      metadata: {
+        kernelspec: {
+          name: "python3",
+          display_name: "Python 3",
+          language: "python",
+        },
+        language_info: { name: "python" },
+      },
+      nbformat: 4,
+      nbformat_minor: 5,
+    };
+  }
+
+  /**
+   * Format a duration for the report
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Human readable duration
+   */
+  function formatDuration(ms) {
+    if (ms < 1000) return `${ms} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`;
+  }
+
+  /**
+   * Highlight the keywords, numbers and identifiers of a piece of SQL code
+   * @param {string} code - SQL without strings and comments
+   * @returns {string} HTML
+   */
+  function highlightCode(code) {
+    return code.replace(
+      /([A-Za-z_][\w$]*)|(\d+(?:\.\d+)?)|([^A-Za-z_\d]+)/g,
+      (match, word, number, other) => {
+        if (word) {
+          return SQL_KEYWORDS.has(word.toLowerCase())
+            ? `<span class="sql-keyword">${escapeHtml(word)}</span>`
+            : escapeHtml(word);
+        }
+        if (number) return `<span class="sql-number">${number}</span>`;
+        return escapeHtml(other);
+      }
+    );
+  }
+
+  /**
+   * Syntax highlight SQL for the report
+   * @param {string} sql - SQL source
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {string} HTML
+   */
+  function highlightSql(sql, splitterOptions) {
+    if (!window.SqlSplitter) return escapeHtml(sql);
+
+    const tokenClasses = {
+      string: "sql-string",
+      "dollar-string": "sql-string",
+      identifier: "sql-identifier",
+      "line-comment": "sql-comment",
+      "block-comment": "sql-comment",
+    };
+
+    return window.SqlSplitter.tokenize(sql, splitterOptions)
+      .map((token) => {
+        const text = sql.slice(token.start, token.end);
+        const className = tokenClasses[token.type];
+        if (className) {
+          return `<span class="${className}">${escapeHtml(text)}</span>`;
+        }
+        return token.type === "code" ? highlightCode(text) : escapeHtml(text);
+      })
+      .join("");
+  }
+
+  /**
+   * Describe the latest run of a cell for the report
+   * @param {Object} result - Cell result ({ status, queryResult, finishedAt, startedAt, ranContent })
+   * @param {string} content - Current cell content
+   * @returns {string} Plain text description
+   */
+  function describeRun(result, content) {
+    if (!result) return "Not run";
+
+    const parts = [
+      { completed: "Succeeded", error: "Failed", cancelled: "Cancelled" }[
+        result.status
+      ] || "Running",
+    ];
+    if (result.status === "completed" && result.queryResult) {
+      const rowCount = ((result.queryResult.data || {}).rows || []).length;
+      parts.push(`${rowCount} row${rowCount === 1 ? "" : "s"}`);
+    }
+    if (result.startedAt && result.finishedAt) {
+      parts.push(formatDuration(result.finishedAt - result.startedAt));
+    }
+    if (result.finishedAt) {
+      parts.push(`ran at ${new Date(result.finishedAt).toLocaleString()}`);
+    }
+    // ranContent is the trimmed text that ran, as in renderCellStatus
+    const edited =
+      result.ranContent !== undefined && result.ranContent !== content.trim();
+    if (edited) {
+      parts.push("SQL edited since this run");
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Render the latest result of a cell for the report
+   * @param {Object} result - Cell result
+   * @param {number} maxRows - Maximum number of rows to include
+   * @returns {string} HTML
+   */
+  function renderReportResult(result, maxRows) {
+    if (!result) return "";
+    if (result.status === "error" || result.status === "cancelled") {
+      const message = escapeHtml(result.error || "");
+      return `<div class="result-error">${message}</div>`;
+    }
+    if (result.status !== "completed" || !result.queryResult) return "";
+
+    const data = result.queryResult.data || { columns: [], rows: [] };
+    if (data.columns.length === 0) {
+      return `<div class="result-note">Query returned no columns.</div>`;
+    }
+    return `<div class="result">${renderHtmlTable(data, maxRows)}</div>`;
+  }
+
+  /**
+   * Render a single notebook cell as a report section
+   * @param {Object} cell - Notebook cell
+   * @param {Object} result - Latest result of the cell
+   * @param {number} maxRows - Maximum number of rows per result
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {string} HTML
+   */
+  function renderReportCell(cell, result, maxRows, splitterOptions) {
+    const meta = cell.meta || {};
+
+    if (cell.type === "markdown") {
+      const markdown = window.MarkdownRenderer
+        ? window.MarkdownRenderer.render(cell.content)
+        : `<pre>${escapeHtml(cell.content)}</pre>`;
+      return `<section class="markdown">${markdown}</section>`;
+    }
+
+    const tags = (meta.tags || [])
+      .map((tag) => `<span class="cell-tag">${escapeHtml(tag)}</span>`)
+      .join("");
+    const title = meta.name
+      ? `<h2>${escapeHtml(meta.name)}${tags}</h2>`
+      : tags && `<h2>${tags}</h2>`;
+    const runInfo = escapeHtml(describeRun(result, cell.content));
+
+    return `<section>
+      ${title}
+      <div class="cell-meta">${runInfo}</div>
+      <pre><code>${highlightSql(cell.content, splitterOptions)}</code></pre>
+      ${renderReportResult(result, maxRows)}
+    </section>`;
+  }
+
+  /**
+   * Convert notebook cells to a self-contained HTML report
+   * @param {Array<Object>} cells - Notebook cells ({ id, type, content, meta })
+   * @param {Object} options - { results, maxRows, title, sourceUrl,
+   *   splitterOptions }
+   * @returns {string} HTML document
+   */
+  function toHtmlReport(cells, options = {}) {
+    const results = options.results || {};
+    const maxRows = options.maxRows || Infinity;
+    const title = escapeHtml(options.title || "Notebook report");
+    const source = options.sourceUrl
+      ? ` from <a href="${escapeHtml(options.sourceUrl)}">${escapeHtml(
+          options.sourceUrl
+        )}</a>`
+      : "";
+    const generatedAt = escapeHtml(new Date().toLocaleString());
+
+    const sections = cells
+      .filter((cell) => cell.content.trim())
+      .map((cell) =>
+        renderReportCell(
+          cell,
+          results[cell.id],
+          maxRows,
+          options.splitterOptions || {}
+        )
+      )
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${title}</h1>
+<div class="report-meta">Generated ${generatedAt}${source}</div>
+</header>
+${sections}
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Turn a title into a safe file name
+   * @param {string} title - Title (e.g. the query name)
+   * @param {string} extension - File extension without the dot
+   * @returns {string} File name
+   */
+  function toFileName(title, extension) {
+    const base = (title || "")
+      .trim()
+      .replace(/[\\/:*?"<>|]+/g, "")
+      .replace(/\s+/g, "_")
+      .slice(0, 100);
+    return `${base || "notebook"}.${extension}`;
+  }
+
+  /**
+   * Offer text content as a file download
+   * @param {string} fileName - Name of the downloaded file
+   * @param {string} content - File content
+   * @param {string} mimeType - MIME type of the file
+   */
+  function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  window.NotebookExport = {
+    toIpynb,
+    toHtmlReport,
+    toFileName,
+    downloadFile,
+  };
+})();
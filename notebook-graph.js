@@ -0,0 +1,233 @@
+/**
+ * Re-Redash Notebook Dependency Graph
+ * Finds which cells use the CTEs, tables and views other cells define, and
+ * lays the resulting graph out in layers for the graph panel
+ */
+
+(function () {
+  "use strict";
+
+  // Possibly qualified identifiers (schema.table)
+  const IDENTIFIER_PATTERN = /[A-Za-z_][\w$]*(?:\s*\.\s*[A-Za-z_][\w$]*)*/g;
+
+  // Tables and views a statement creates or writes to
+  const CREATE_PATTERN =
+    /\b(?:CREATE(?:\s+OR\s+REPLACE)?(?:\s+(?:TEMP|TEMPORARY|UNLOGGED|MATERIALIZED))?\s+(?:TABLE|VIEW)(?:\s+IF\s+NOT\s+EXISTS)?|INSERT\s+INTO)\s+([A-Za-z_][\w$]*(?:\.[A-Za-z_][\w$]*)*)/gi;
+
+  // CTE names: `WITH name AS (` and `, name AS (`
+  const CTE_PATTERN =
+    /(?:\bWITH(?:\s+RECURSIVE)?|,)\s*([A-Za-z_][\w$]*)\s+AS\s*\(/gi;
+
+  // SQL keywords and common functions, which never name a table
+  const SQL_KEYWORDS = new Set(
+    `all and any array as asc avg between by case cast coalesce count create
+    cross current_date current_timestamp date day delete desc distinct drop
+    else end except exists extract false filter first following from full
+    group having if ilike in inner insert interval intersect into is join
+    last lateral left like limit max min month not null nulls offset on or
+    order outer over partition preceding range recursive replace right row
+    rows select set sum table temp temporary then true unbounded union update
+    using values view when where window with year`.split(/\s+/)
+  );
+
+  /**
+   * Normalize an identifier for comparison
+   * @param {string} identifier - Identifier, possibly quoted or qualified
+   * @returns {string} Lower case identifier without quotes and spaces
+   */
+  function normalize(identifier) {
+    return identifier.replace(/["`\s]/g, "").toLowerCase();
+  }
+
+  /**
+   * Find the identifiers a cell defines and uses
+   * @param {Object} cell - Cell data ({ content, meta })
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {Object} { defines, uses, cellReferences } - Sets of normalized
+   *   identifiers, and the names of `{{cell:name}}` references
+   */
+  function analyzeCell(cell, splitterOptions) {
+    // `{{cell:name}}` references are found as when the cell is compiled, and
+    // left out of the identifiers the cell uses
+    const references = window.NotebookReferences.findReferences(
+      cell.content,
+      splitterOptions
+    );
+    const cellReferences = new Set(references.map(({ name }) => name));
+    const text = references
+      .reverse()
+      .reduce(
+        (result, { start, end }) =>
+          result.slice(0, start) + " " + result.slice(end),
+        cell.content
+      );
+
+    // Strings and comments can't define or use anything; quoted identifiers
+    // are kept without their quotes
+    const code = window.SqlSplitter.tokenize(text, splitterOptions)
+      .map((token) => {
+        const value = text.slice(token.start, token.end);
+        if (token.type === "code") return value;
+        if (token.type === "identifier") return value.slice(1, -1);
+        return " ";
+      })
+      .join("");
+
+    // CTEs only exist within the cell's own statement, so they are neither
+    // defined for nor used from other cells
+    const defines = new Set();
+    const ctes = new Set();
+    const uses = new Set();
+    let match;
+
+    CREATE_PATTERN.lastIndex = 0;
+    while ((match = CREATE_PATTERN.exec(code))) {
+      defines.add(normalize(match[1]));
+    }
+    CTE_PATTERN.lastIndex = 0;
+    while ((match = CTE_PATTERN.exec(code))) {
+      ctes.add(normalize(match[1]));
+    }
+
+    IDENTIFIER_PATTERN.lastIndex = 0;
+    while ((match = IDENTIFIER_PATTERN.exec(code))) {
+      const identifier = normalize(match[0]);
+      if (
+        !defines.has(identifier) &&
+        !ctes.has(identifier) &&
+        !SQL_KEYWORDS.has(identifier)
+      ) {
+        uses.add(identifier);
+      }
+    }
+
+    return { defines, uses, cellReferences };
+  }
+
+  /**
+   * Build the dependency graph of the SQL cells
+   * A cell depends on a cell it references with `{{cell:name}}`, and on the
+   * closest cell above it creating a table or view it uses (or the first
+   * one below, for tables created later in the notebook)
+   * @param {Array<Object>} cells - Notebook cells
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {Object} { nodes, edges } - nodes ({ id, index }) of the SQL
+   *   cells, edges ({ from, to }) from each cell to the cells using it
+   */
+  function buildGraph(cells, splitterOptions = {}) {
+    const nodes = [];
+    const analyses = {};
+    cells.forEach((cell, index) => {
+      if (cell.type === "markdown") return;
+      nodes.push({ id: cell.id, index });
+      analyses[cell.id] = analyzeCell(cell, splitterOptions);
+    });
+
+    const edges = [];
+    const addEdge = (from, to) => {
+      const exists = edges.some((e) => e.from === from && e.to === to);
+      if (from !== to && !exists) {
+        edges.push({ from, to });
+      }
+    };
+
+    nodes.forEach((node) => {
+      const analysis = analyses[node.id];
+
+      analysis.cellReferences.forEach((name) => {
+        try {
+          const target = window.NotebookReferences.findReferencedCell(
+            name,
+            cells
+          );
+          addEdge(target.id, node.id);
+        } catch (error) {
+          // Names compile can't resolve (unknown, ambiguous or markdown
+          // cells) get no edge, running the cell reports them
+        }
+      });
+
+      analysis.uses.forEach((identifier) => {
+        const definers = nodes.filter(
+          (other) =>
+            other.id !== node.id && analyses[other.id].defines.has(identifier)
+        );
+        if (definers.length === 0) return;
+        const above = definers.filter((other) => other.index < node.index);
+        const definer = above.length ? above[above.length - 1] : definers[0];
+        addEdge(definer.id, node.id);
+      });
+    });
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Find all cells that depend on a cell, directly or indirectly
+   * @param {Object} graph - Graph from buildGraph
+   * @param {string} cellId - Cell id
+   * @returns {Set<string>} Ids of the downstream cells
+   */
+  function getDownstream(graph, cellId) {
+    const downstream = new Set();
+    const queue = [cellId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      graph.edges.forEach((edge) => {
+        if (edge.from === current && !downstream.has(edge.to)) {
+          downstream.add(edge.to);
+          queue.push(edge.to);
+        }
+      });
+    }
+    downstream.delete(cellId);
+    return downstream;
+  }
+
+  /**
+   * Assign each node a layer (its longest path from a cell without
+   * dependencies) and a row within the layer
+   * @param {Object} graph - Graph from buildGraph
+   * @returns {Object} { positions, layerCount, rowCount } - positions
+   *   ({ layer, row }) by node id
+   */
+  function layoutGraph(graph) {
+    const layers = {};
+
+    function getLayer(id, path) {
+      if (layers[id] !== undefined) return layers[id];
+      // Cycles can't be layered, the edge closing one is ignored
+      if (path.has(id)) return -1;
+
+      path.add(id);
+      const parentLayers = graph.edges
+        .filter((edge) => edge.to === id)
+        .map((edge) => getLayer(edge.from, path));
+      path.delete(id);
+
+      layers[id] = Math.max(-1, ...parentLayers) + 1;
+      return layers[id];
+    }
+
+    const positions = {};
+    const rowsPerLayer = [];
+    graph.nodes.forEach((node) => {
+      const layer = getLayer(node.id, new Set());
+      rowsPerLayer[layer] = (rowsPerLayer[layer] || 0) + 1;
+      positions[node.id] = { layer, row: rowsPerLayer[layer] - 1 };
+    });
+
+    return {
+      positions,
+      layerCount: rowsPerLayer.length,
+      rowCount: Math.max(0, ...rowsPerLayer.map((rows) => rows || 0)),
+    };
+  }
+
+  window.NotebookGraph = {
+    analyzeCell,
+    buildGraph,
+    getDownstream,
+    layoutGraph,
+  };
+})();
@@ -0,0 +1,136 @@
+/**
+ * Re-Redash Notebook Import
+ * Converts Jupyter notebooks (.ipynb) into notebook cell definitions
+ * (.sql files are split by the notebook itself, like the query text)
+ */
+
+(function () {
+  "use strict";
+
+  // Cell magics marking a code cell as SQL (ipython-sql, jupysql, BigQuery, ...)
+  const SQL_CELL_MAGIC_PATTERN = /^\s*%%(sql|bigquery)\b[^\n]*\n?/;
+
+  // Line magic running a single SQL statement
+  const SQL_LINE_MAGIC_PATTERN = /^\s*%sql\s+/;
+
+  /**
+   * Join nbformat's multiline string representation
+   * @param {string|Array<string>} source - Cell source
+   * @returns {string} Text
+   */
+  function joinSource(source) {
+    return Array.isArray(source) ? source.join("") : source || "";
+  }
+
+  /**
+   * Read notebook cell metadata written by the exporter or by Jupyter
+   * @param {Object} metadata - nbformat cell metadata
+   * @returns {Object} Cell metadata ({ name, tags, collapsed })
+   */
+  function parseMetadata(metadata = {}) {
+    const meta = {};
+    if (Array.isArray(metadata.tags)) {
+      meta.tags = metadata.tags.filter((tag) => typeof tag === "string");
+    }
+    if (metadata.re_redash && metadata.re_redash.name) {
+      meta.name = String(metadata.re_redash.name);
+    }
+    // `collapsed` on its own hides a cell's outputs, not its source
+    if (metadata.jupyter && metadata.jupyter.source_hidden) {
+      meta.collapsed = true;
+    }
+    return meta;
+  }
+
+  /**
+   * Convert a code cell's source to SQL
+   * @param {string} source - Code cell source
+   * @returns {string|null} SQL, or null if the cell isn't SQL
+   */
+  function toSql(source) {
+    if (SQL_CELL_MAGIC_PATTERN.test(source)) {
+      return source.replace(SQL_CELL_MAGIC_PATTERN, "").trim();
+    }
+    if (SQL_LINE_MAGIC_PATTERN.test(source)) {
+      return source.replace(SQL_LINE_MAGIC_PATTERN, "").trim();
+    }
+    return null;
+  }
+
+  /**
+   * Split the SQL of a code cell into one cell per statement, without the
+   * separators, so every notebook cell holds a single statement like the
+   * cells split from the query text
+   * @param {string} sql - SQL of the code cell
+   * @param {Object} meta - Cell metadata, kept on the first statement
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {Array<Object>} Cells ({ type, content, meta })
+   */
+  function toSqlCells(sql, meta, splitterOptions) {
+    return window.SqlSplitter.splitStatements(sql, splitterOptions).map(
+      (statement, index) => ({
+        type: "sql",
+        content: statement.text,
+        meta: index === 0 ? meta : {},
+      })
+    );
+  }
+
+  /**
+   * Convert a Jupyter notebook to notebook cell definitions
+   * SQL code cells become SQL cells; other code cells become markdown cells
+   * showing the code, so nothing is lost but nothing unexpected runs
+   * @param {string} text - Contents of an .ipynb file
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect) SQL
+   *   code cells are split into statements with
+   * @returns {Array<Object>} Cells ({ type, content, meta })
+   */
+  function parseIpynb(text, splitterOptions = {}) {
+    let notebook;
+    try {
+      notebook = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file is not valid JSON.");
+    }
+    if (!notebook || !Array.isArray(notebook.cells)) {
+      throw new Error("The file is not a Jupyter notebook.");
+    }
+
+    const language =
+      (notebook.metadata &&
+        notebook.metadata.language_info &&
+        notebook.metadata.language_info.name) ||
+      "";
+    const isSqlNotebook = /sql/i.test(language);
+
+    return notebook.cells
+      .reduce((cells, cell) => {
+        const source = joinSource(cell.source);
+        const meta = parseMetadata(cell.metadata);
+
+        if (cell.cell_type === "markdown") {
+          return cells.concat({
+            type: "markdown",
+            content: source.trim(),
+            meta,
+          });
+        }
+        if (cell.cell_type !== "code") return cells;
+
+        const sql = isSqlNotebook ? source.trim() : toSql(source);
+        if (sql !== null) {
+          return cells.concat(toSqlCells(sql, meta, splitterOptions));
+        }
+        return cells.concat({
+          type: "markdown",
+          content: `\`\`\`${language}\n${source.trim()}\n\`\`\``,
+          meta,
+        });
+      }, [])
+      .filter((cell) => cell.content.length > 0);
+  }
+
+  window.NotebookImport = {
+    parseIpynb,
+  };
+})();
@@ -0,0 +1,184 @@
+/**
+ * Re-Redash Notebook Parameters
+ * Finds Redash `{{ param }}` placeholders in cell text and converts the
+ * notebook's parameter values into the format /api/query_results expects
+ */
+
+(function () {
+  "use strict";
+
+  // `{{ name }}`, or `{{ name.start }}` / `{{ name.end }}` for date ranges
+  const PARAMETER_PATTERN = /\{\{\s*([A-Za-z_][\w]*)(?:\.(start|end))?\s*\}\}/g;
+
+  // A string literal holding nothing but a placeholder, Redash's way of
+  // passing a text parameter: `'{{ country }}'`
+  const QUOTED_PARAMETER_PATTERN =
+    /^'\{\{\s*[A-Za-z_][\w]*(?:\.(?:start|end))?\s*\}\}'$/;
+
+  // Parameter types offered in the parameter bar
+  const PARAMETER_TYPES = {
+    text: "Text",
+    number: "Number",
+    date: "Date",
+    "date-range": "Date range",
+    enum: "Dropdown",
+  };
+
+  /**
+   * Find the offsets of the parameter placeholders in SQL text, ignoring the
+   * ones inside comments and inside strings holding more than a placeholder
+   * @param {string} text - SQL text
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {Array<Object>} Placeholder matches ({ name, isRange })
+   */
+  function findPlaceholders(text, splitterOptions) {
+    const tokens = window.SqlSplitter.tokenize(text, splitterOptions).filter(
+      (token) =>
+        token.type === "code" ||
+        (token.type === "string" &&
+          QUOTED_PARAMETER_PATTERN.test(text.slice(token.start, token.end)))
+    );
+    const placeholders = [];
+    PARAMETER_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = PARAMETER_PATTERN.exec(text))) {
+      const start = match.index;
+      if (tokens.some((token) => token.start <= start && start < token.end)) {
+        placeholders.push({ name: match[1], isRange: !!match[2] });
+      }
+    }
+    return placeholders;
+  }
+
+  /**
+   * Find the parameters used in a text, in order of first use
+   * @param {string|Array<string>} text - SQL text, or the texts of several
+   *   cells
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {Array<Object>} Parameters ({ name, type }); the type is a guess
+   *   from the placeholders, "date-range" if `.start`/`.end` is used
+   */
+  function findParameters(text, splitterOptions = {}) {
+    const parameters = [];
+    const byName = {};
+
+    [].concat(text).forEach((part) => {
+      findPlaceholders(part, splitterOptions).forEach(({ name, isRange }) => {
+        if (!byName[name]) {
+          byName[name] = { name, type: "text" };
+          parameters.push(byName[name]);
+        }
+        if (isRange) {
+          byName[name].type = "date-range";
+        }
+      });
+    });
+    return parameters;
+  }
+
+  /**
+   * Create an empty parameter of a type
+   * @param {string} type - Parameter type
+   * @returns {Object} Parameter ({ type, value, enumOptions })
+   */
+  function createParameter(type) {
+    return {
+      type,
+      value: type === "date-range" ? { start: "", end: "" } : "",
+      enumOptions: [],
+    };
+  }
+
+  /**
+   * Convert a parameter definition of a saved Redash query
+   * @param {Object} definition - Entry of query.options.parameters
+   * @returns {Object} Parameter ({ type, value, enumOptions })
+   */
+  function fromRedashDefinition(definition) {
+    let type = "text";
+    if (/range$/.test(definition.type)) {
+      type = "date-range";
+    } else if (/^date/.test(definition.type)) {
+      type = "date";
+    } else if (PARAMETER_TYPES[definition.type]) {
+      type = definition.type;
+    }
+
+    const parameter = createParameter(type);
+    parameter.enumOptions = String(definition.enumOptions || "")
+      .split("\n")
+      .map((option) => option.trim())
+      .filter(Boolean);
+
+    // Dynamic values like "d_last_7_days" can't be shown in the inputs
+    const value = definition.value;
+    if (type === "date-range" && value && typeof value === "object") {
+      parameter.value = {
+        start: String(value.start || "").slice(0, 10),
+        end: String(value.end || "").slice(0, 10),
+      };
+    } else if (type !== "date-range" && value !== null && value !== undefined) {
+      parameter.value = type === "date" ? String(value).slice(0, 10) : value;
+    }
+    return parameter;
+  }
+
+  /**
+   * Check whether a parameter has a value that can be sent
+   * @param {Object} parameter - Parameter ({ type, value })
+   * @returns {string|null} Problem with the value, or null if it is valid
+   */
+  function validateParameter(parameter) {
+    const value = parameter.value;
+    if (parameter.type === "date-range") {
+      return value && value.start && value.end ? null : "needs a start and end";
+    }
+    if (value === "" || value === null || value === undefined) {
+      return "has no value";
+    }
+    if (parameter.type === "number" && isNaN(Number(value))) {
+      return "is not a number";
+    }
+    return null;
+  }
+
+  /**
+   * Collect the values of the parameters a text uses
+   * @param {string} text - SQL text
+   * @param {Object} parameters - Parameters by name ({ type, value })
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {Object} { values, errors } - values for /api/query_results, and
+   *   a message for every parameter without a valid value
+   */
+  function getParameterValues(text, parameters, splitterOptions = {}) {
+    const values = {};
+    const errors = [];
+
+    findParameters(text, splitterOptions).forEach(({ name, type }) => {
+      const parameter = parameters[name] || createParameter(type);
+      const problem = validateParameter(parameter);
+      if (problem) {
+        errors.push(`Parameter "${name}" ${problem}.`);
+        return;
+      }
+      if (parameter.type === "number") {
+        values[name] = Number(parameter.value);
+      } else if (parameter.type === "date-range") {
+        values[name] = { ...parameter.value };
+      } else {
+        values[name] = String(parameter.value);
+      }
+    });
+
+    return { values, errors };
+  }
+
+  window.NotebookParams = {
+    PARAMETER_TYPES,
+    findParameters,
+    createParameter,
+    fromRedashDefinition,
+    getParameterValues,
+  };
+})();
@@ -0,0 +1,176 @@
+/**
+ * Re-Redash Notebook Cell References
+ * Compiles `{{cell:name}}` references to other notebook cells into CTEs,
+ * so a query built step by step across cells runs as a single statement
+ */
+
+(function () {
+  "use strict";
+
+  // `{{cell:name}}`, spaces inside the braces are allowed
+  const REFERENCE_PATTERN = /\{\{\s*cell:\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+  // WITH clause the referencing query may already start with
+  const WITH_PATTERN = /^WITH(\s+RECURSIVE)?\s+/i;
+
+  /**
+   * Find the cell references in SQL text, ignoring strings and comments
+   * @param {string} text - SQL text
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {Array<Object>} References ({ name, start, end })
+   */
+  function findReferences(text, splitterOptions = {}) {
+    const codeTokens = window.SqlSplitter.tokenize(
+      text,
+      splitterOptions
+    ).filter((token) => token.type === "code");
+    const references = [];
+    REFERENCE_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = REFERENCE_PATTERN.exec(text))) {
+      const start = match.index;
+      const inCode = codeTokens.some(
+        (token) => token.start <= start && start < token.end
+      );
+      if (inCode) {
+        references.push({
+          name: match[1],
+          start,
+          end: start + match[0].length,
+        });
+      }
+    }
+    return references;
+  }
+
+  /**
+   * Replace the cell references in SQL text by the names of their CTEs
+   * @param {string} text - SQL text
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {string} SQL text
+   */
+  function replaceReferences(text, splitterOptions) {
+    return findReferences(text, splitterOptions)
+      .reverse()
+      .reduce(
+        (result, reference) =>
+          result.slice(0, reference.start) +
+          reference.name +
+          result.slice(reference.end),
+        text
+      );
+  }
+
+  /**
+   * Offset of the first character of SQL text that isn't a comment or space
+   * @param {string} text - SQL text
+   * @param {Object} splitterOptions - SqlSplitter options (dialect)
+   * @returns {number} Offset
+   */
+  function getCodeStart(text, splitterOptions) {
+    for (const token of window.SqlSplitter.tokenize(text, splitterOptions)) {
+      if (token.type === "line-comment" || token.type === "block-comment") {
+        continue;
+      }
+      const code = text.slice(token.start, token.end);
+      if (code.trim()) {
+        return token.start + code.length - code.trimStart().length;
+      }
+    }
+    return text.length;
+  }
+
+  /**
+   * Find the SQL cell a reference points to
+   * @param {string} name - Referenced cell name
+   * @param {Array<Object>} cells - Notebook cells
+   * @returns {Object} Cell
+   */
+  function findReferencedCell(name, cells) {
+    const matches = cells.filter((cell) => cell.meta.name === name);
+    if (matches.length === 0) {
+      throw new Error(`No cell is named "${name}".`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Several cells are named "${name}".`);
+    }
+    if (matches[0].type === "markdown") {
+      throw new Error(`"${name}" is a markdown cell and can't be referenced.`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Compile a cell into the SQL that is sent to Redash: every referenced cell
+   * (recursively) becomes a CTE named after the cell, ordered so that each
+   * CTE only uses the ones before it
+   * @param {Object} cell - Cell to compile
+   * @param {Array<Object>} cells - Notebook cells
+   * @param {Object} [options] - { splitterOptions, queryDataSourceId }, the
+   *   SqlSplitter options (dialect) and the data source of cells without one
+   *   of their own
+   * @returns {string} SQL
+   * @throws {Error} If a reference can't be resolved, references form a cycle
+   *   or a referenced cell runs against another data source
+   */
+  function compile(cell, cells, options = {}) {
+    const splitterOptions = options.splitterOptions || {};
+    const dataSourceOf = (c) =>
+      c.meta.dataSourceId || options.queryDataSourceId || null;
+    const content = cell.content.trim();
+    const references = findReferences(content, splitterOptions);
+    if (references.length === 0) return content;
+
+    const ctes = [];
+    const compiled = new Set();
+
+    function visit(name, path) {
+      if (path.includes(name)) {
+        const cycle = path.slice(path.indexOf(name)).concat(name);
+        throw new Error(`Cell references form a cycle: ${cycle.join(" → ")}.`);
+      }
+      if (compiled.has(name)) return;
+
+      const target = findReferencedCell(name, cells);
+      // The referenced SQL is inlined, so it has to run on the same database
+      if (dataSourceOf(target) !== dataSourceOf(cell)) {
+        throw new Error(
+          `"${name}" runs against another data source and can't be referenced from this cell.`
+        );
+      }
+      const targetContent = target.content.trim();
+      findReferences(targetContent, splitterOptions).forEach((reference) =>
+        visit(reference.name, path.concat(name))
+      );
+
+      compiled.add(name);
+      // The closing parenthesis must not end up in a trailing '--' comment
+      ctes.push(
+        `${name} AS (\n${replaceReferences(targetContent, splitterOptions)}\n)`
+      );
+    }
+
+    const rootPath = cell.meta.name ? [cell.meta.name] : [];
+    references.forEach((reference) => visit(reference.name, rootPath));
+
+    // Merge into the query's own WITH clause instead of nesting a second one
+    const body = replaceReferences(content, splitterOptions);
+    const codeStart = getCodeStart(body, splitterOptions);
+    const leading = body.slice(0, codeStart);
+    const query = body.slice(codeStart);
+    const withMatch = query.match(WITH_PATTERN);
+    if (withMatch) {
+      const keyword = withMatch[1] ? "WITH RECURSIVE" : "WITH";
+      const rest = query.slice(withMatch[0].length);
+      return `${leading}${keyword} ${ctes.join(",\n")},\n${rest}`;
+    }
+    return `${leading}WITH ${ctes.join(",\n")}\n${query}`;
+  }
+
+  window.NotebookReferences = {
+    findReferences,
+    findReferencedCell,
+    compile,
+  };
+})();
@@ -1,7 +1,7 @@
 /**
  * Re-Redash Notebook Module - Functional Implementation
  * Transforms textarea queries into notebook-style cells
- * Each query ending with ';' becomes a separate cell
+ * Each query ending with ';' becomes a separate cell (see sql-splitter.js)
  */
 
 // Configuration constants
@@ -12,6 +12,38 @@ const DEFAULT_CONFIG = {
   executeButtonClass: "notebook-execute-btn",
   querySeparator: ";",
   debounceDelay: 300,
+  editorMountMargin: "600px", // Cells this close to the visible area get an editor
+  maxOutputRows: 100, // Rows rendered in a cell's inline result table
+  maxExportRows: 1000, // Rows of each result included in exported notebooks
+  cellMetadataPrefix: "@cell", // Magic comment holding cell metadata
+  markdownMarker: "@markdown", // Block comment marker of markdown cells
+  maxHistorySize: 50, // Structural changes that can be undone
+  toastDuration: 6000, // ms a notebook toast stays visible
+  stopOnError: true, // Run All stops at the first failing cell
+  queryTimeout: 1800000, // ms a cell's query may stay queued or running
+  showOutline: false, // Show the outline sidebar next to the cells
+};
+
+// Counter to keep generated cell ids unique within a page session
+let cellIdCounter = 0;
+
+// Display names of the execution statuses of a cell
+const CELL_STATUS_LABELS = {
+  idle: "Idle",
+  queued: "Queued",
+  running: "Running",
+  completed: "Succeeded",
+  error: "Failed",
+  cancelled: "Cancelled",
+};
+
+// Sizes (px) of the dependency graph panel's layout
+const GRAPH_LAYOUT = {
+  nodeWidth: 160,
+  nodeHeight: 28,
+  layerGap: 48,
+  rowGap: 12,
+  padding: 10,
 };
 
 // Global state
@@ -23,10 +55,38 @@ let notebookState = {
   isNotebookMode: false,
   originalContainer: null,
   config: DEFAULT_CONFIG,
-  cellEditors: {}, // Store individual Ace Editor instances for each cell
+  cellEditors: {}, // Ace Editor instance of each mounted cell, by cell id
+  cellSessions: {}, // Ace sessions of cells scrolled out of view, by cell id
+  renderedCells: {}, // Cell object each cell element was rendered from, by id
+  editorObserver: null, // IntersectionObserver mounting editors of visible cells
   lastFocusedCellIndex: null, // Track the last focused cell for schema list insertions
   tooltipElement: null, // Store single tooltip element for reuse
   tooltipTimeout: null, // Store timeout for showing tooltip
+  cellResults: {}, // Latest execution result per cell id
+  editingMarkdownCells: new Set(), // Ids of markdown cells shown as source
+  draggedCellId: null, // Id of the cell being dragged by its handle
+  history: { undo: [], redo: [] }, // Snapshots of structural cell changes
+  toastElement: null, // Store single toast element for reuse
+  toastTimeout: null, // Store timeout for hiding the toast
+  runState: null, // Progress of the current Run All, null when idle
+  selectedCellIds: new Set(), // Cells picked for batch operations
+  selectionAnchorId: null, // Cell a Shift+Click/Shift+Arrow range starts from
+  selectionFocusId: null, // Cell a Shift+Arrow range currently ends at
+  tagFilter: "", // Only cells with this tag are shown, "" shows all cells
+  parameters: {}, // Values of the `{{ param }}` placeholders, by name
+  parameterBarKey: null, // Parameter names and types the bar was rendered for
+  compiledCellIds: new Set(), // Cells showing their compiled SQL
+  showGraph: false, // Whether the dependency graph panel is shown
+  graphCache: null, // Last built dependency graph, { key, graph }
+  staleCellIds: new Set(), // Cells whose output predates a change upstream
+  dataSources: [], // Data sources from /api/data_sources, for cell pickers
+  sqlDialect: null, // SqlSplitter dialect of the query's data source
+  queryDataSourceId: null, // Data source of the query, cells without their own run against it
+  statusTimer: null, // Interval updating the elapsed time of running cells
+  cellRanges: {}, // Offsets of each SQL cell's text in the main editor, by cell id
+  findMatches: [], // Matches of the notebook-wide find, { cellId, start, end }
+  statementContinuations: {}, // Id of the cell each mid-statement split part continues
+  currentFindMatch: -1, // Index of the selected find match
 };
 
 function getTooltipElement() {
@@ -124,6 +184,20 @@ function addTooltip(element, text, position = "top") {
   });
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Save notebook mode preference to localStorage
  * @param {boolean} isNotebookMode - Whether notebook mode is active
@@ -170,6 +244,43 @@ function loadNotebookModePreference() {
   return null;
 }
 
+/**
+ * Save the Run All "stop on error" preference to localStorage
+ * @param {boolean} stopOnError - Whether Run All stops at the first failure
+ */
+function saveStopOnErrorPreference(stopOnError) {
+  try {
+    localStorage.setItem(
+      "re-redash-stop-on-error",
+      JSON.stringify(stopOnError)
+    );
+  } catch (error) {
+    customLogger.warn(
+      "Re-Redash: Failed to save stop on error preference:",
+      error
+    );
+  }
+}
+
+/**
+ * Load the Run All "stop on error" preference from localStorage
+ * @returns {boolean|null} Saved preference or null if not found
+ */
+function loadStopOnErrorPreference() {
+  try {
+    const saved = localStorage.getItem("re-redash-stop-on-error");
+    if (saved !== null) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    customLogger.warn(
+      "Re-Redash: Failed to load stop on error preference:",
+      error
+    );
+  }
+  return null;
+}
+
 /**
  * Update the notebook toggle button appearance based on current mode
  * @param {boolean} isNotebookMode - Whether notebook mode is currently active
@@ -192,6 +303,73 @@ function updateToggleButtonAppearance(isNotebookMode) {
   }
 }
 
+/**
+ * Save whether the outline sidebar is shown to localStorage
+ * @param {boolean} showOutline - Whether the outline is visible
+ */
+function saveOutlinePreference(showOutline) {
+  try {
+    localStorage.setItem("re-redash-show-outline", JSON.stringify(showOutline));
+  } catch (error) {
+    customLogger.warn("Re-Redash: Failed to save outline preference:", error);
+  }
+}
+
+/**
+ * Load whether the outline sidebar is shown from localStorage
+ * @returns {boolean|null} Saved preference or null if not found
+ */
+function loadOutlinePreference() {
+  try {
+    const saved = localStorage.getItem("re-redash-show-outline");
+    if (saved !== null) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    customLogger.warn("Re-Redash: Failed to load outline preference:", error);
+  }
+  return null;
+}
+
+/**
+ * localStorage key of the parameter values of the current query
+ * @returns {string} Storage key
+ */
+function getParametersStorageKey() {
+  const queryId = window.RedashApi
+    ? window.RedashApi.getQueryIdFromUrl()
+    : null;
+  return `re-redash-parameters-${queryId || "new"}`;
+}
+
+/**
+ * Save the parameter values of the current query to localStorage
+ * @param {Object} parameters - Parameters by name
+ */
+function saveParameterValues(parameters) {
+  try {
+    localStorage.setItem(getParametersStorageKey(), JSON.stringify(parameters));
+  } catch (error) {
+    customLogger.warn("Re-Redash: Failed to save parameter values:", error);
+  }
+}
+
+/**
+ * Load the parameter values of the current query from localStorage
+ * @returns {Object|null} Saved parameters by name or null if not found
+ */
+function loadParameterValues() {
+  try {
+    const saved = localStorage.getItem(getParametersStorageKey());
+    if (saved !== null) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    customLogger.warn("Re-Redash: Failed to load parameter values:", error);
+  }
+  return null;
+}
+
 /**
  * Initialize the notebook functionality with retry mechanism
  * @param {Object} config - Configuration overrides
@@ -199,6 +377,15 @@ function updateToggleButtonAppearance(isNotebookMode) {
 function initNotebook(config = {}) {
   notebookState.config = { ...DEFAULT_CONFIG, ...config };
 
+  const stopOnError = loadStopOnErrorPreference();
+  if (stopOnError !== null) {
+    notebookState.config.stopOnError = stopOnError;
+  }
+  const showOutline = loadOutlinePreference();
+  if (showOutline !== null) {
+    notebookState.config.showOutline = showOutline;
+  }
+
   createNotebookContainer();
   setupEventListeners();
 
@@ -443,9 +630,123 @@ function createTextareaWrapper(textarea) {
 function createNotebookContainer() {
   notebookState.notebookContainer = document.createElement("div");
   notebookState.notebookContainer.className = "notebook-container";
+  notebookState.notebookContainer.classList.toggle(
+    "outline-visible",
+    notebookState.config.showOutline
+  );
   notebookState.notebookContainer.style.display = "none";
+  // Clicking the notebook focuses it, so its keyboard shortcuts (like undo)
+  // apply while the rest of the page keeps its own
+  notebookState.notebookContainer.tabIndex = -1;
+  const stopOnErrorChecked = notebookState.config.stopOnError ? "checked" : "";
   notebookState.notebookContainer.innerHTML = `
-    <div class="notebook-cells"></div>
+    <div class="notebook-toolbar">
+      <button class="notebook-run-all-btn" title="Run all cells in order">
+        <i class="zmdi zmdi-play-circle"></i> Run All
+      </button>
+      <select class="notebook-tag-filter" title="Show only the cells with this tag">
+        <option value="">All cells</option>
+      </select>
+      <button class="notebook-run-tagged-btn" title="Run all cells with the selected tag in order" disabled>
+        <i class="zmdi zmdi-label"></i> Run tagged
+      </button>
+      <label class="notebook-stop-on-error" title="Stop Run All at the first failing cell">
+        <input type="checkbox" class="notebook-stop-on-error-input" ${stopOnErrorChecked} /> Stop on error
+      </label>
+      <div class="notebook-run-progress">
+        <div class="notebook-run-progress-bar">
+          <div class="notebook-run-progress-fill"></div>
+        </div>
+        <span class="notebook-run-progress-text"></span>
+        <button class="notebook-run-stop-btn" title="Stop running cells">
+          <i class="zmdi zmdi-stop"></i> Stop
+        </button>
+      </div>
+      <span class="notebook-run-summary"></span>
+      <div class="notebook-toolbar-actions">
+        <button class="notebook-export-ipynb-btn" title="Download the notebook as a Jupyter notebook">
+          <i class="zmdi zmdi-download"></i> Export as .ipynb
+        </button>
+        <button class="notebook-export-report-btn" title="Download the notebook and its results as a standalone HTML report">
+          <i class="zmdi zmdi-file"></i> Export report
+        </button>
+        <button class="notebook-outline-btn" title="Show/hide the outline of all cells">
+          <i class="zmdi zmdi-view-list"></i> Outline
+        </button>
+        <button class="notebook-graph-btn" title="Show/hide the dependency graph of the cells">
+          <i class="zmdi zmdi-device-hub"></i> Graph
+        </button>
+        <button class="notebook-find-btn" title="Find and replace in all cells (Cmd/Ctrl + Shift + F)">
+          <i class="zmdi zmdi-search-replace"></i> Find
+        </button>
+      </div>
+      <div class="notebook-selection-bar">
+        <span class="notebook-selection-count"></span>
+        <button class="notebook-selection-btn" data-selection-action="run" title="Run the selected cells in order">
+          <i class="zmdi zmdi-play"></i> Run
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="moveUp" title="Move the selected cells up">
+          <i class="zmdi zmdi-arrow-up"></i>
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="moveDown" title="Move the selected cells down">
+          <i class="zmdi zmdi-arrow-down"></i>
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="duplicate" title="Duplicate the selected cells">
+          <i class="zmdi zmdi-copy"></i> Duplicate
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="merge" title="Merge the selected cells into one">
+          <i class="zmdi zmdi-collection-text"></i> Merge
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="comment" title="Comment out (or back in) the selected SQL cells">
+          <i class="zmdi zmdi-comment-outline"></i> Comment
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="exportIpynb" title="Download the selected cells as a Jupyter notebook">
+          <i class="zmdi zmdi-download"></i> .ipynb
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="exportReport" title="Download the selected cells as an HTML report">
+          <i class="zmdi zmdi-file"></i> Report
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="delete" title="Delete the selected cells">
+          <i class="zmdi zmdi-delete"></i> Delete
+        </button>
+        <button class="notebook-selection-btn" data-selection-action="clear" title="Clear the selection (Escape)">
+          <i class="zmdi zmdi-close"></i>
+        </button>
+      </div>
+      <div class="notebook-find-panel">
+        <input class="notebook-find-input" placeholder="Find in all cells" spellcheck="false" />
+        <input class="notebook-replace-input" placeholder="Replace with" spellcheck="false" />
+        <label title="Regular expression"><input type="checkbox" class="notebook-find-option" data-option="regex" /> .*</label>
+        <label title="Match case"><input type="checkbox" class="notebook-find-option" data-option="caseSensitive" /> Aa</label>
+        <label title="Whole word"><input type="checkbox" class="notebook-find-option" data-option="wholeWord" /> Word</label>
+        <span class="notebook-find-count"></span>
+        <button class="notebook-find-prev-btn" title="Previous match (Shift + Enter)">
+          <i class="zmdi zmdi-chevron-up"></i>
+        </button>
+        <button class="notebook-find-next-btn" title="Next match (Enter)">
+          <i class="zmdi zmdi-chevron-down"></i>
+        </button>
+        <button class="notebook-replace-btn" title="Replace the selected match">Replace</button>
+        <button class="notebook-replace-all-btn" title="Replace all matches in all cells">Replace All</button>
+        <button class="notebook-find-close-btn" title="Close (Escape)">
+          <i class="zmdi zmdi-close"></i>
+        </button>
+      </div>
+    </div>
+    <div class="notebook-params-bar"></div>
+    <div class="notebook-graph-panel"></div>
+    <div class="notebook-body">
+      <nav class="notebook-outline"></nav>
+      <div class="notebook-cells"></div>
+    </div>
+    <div class="notebook-import-overlay">
+      <div class="notebook-import-target" data-import-mode="append">
+        <i class="zmdi zmdi-playlist-plus"></i> Append to notebook
+      </div>
+      <div class="notebook-import-target" data-import-mode="replace">
+        <i class="zmdi zmdi-swap-vertical"></i> Replace all cells
+      </div>
+    </div>
   `;
 }
 
@@ -604,11 +905,9 @@ function executeTableQuery(query) {
     // If in notebook mode, create a new cell with the query
     if (notebookState.isNotebookMode) {
       // Add a new cell with the query
+      recordNotebookHistory("Add table query");
       const newCellIndex = notebookState.cells.length;
-      notebookState.cells.push({
-        id: `cell_${Date.now()}_${newCellIndex}`,
-        content: query,
-      });
+      notebookState.cells.push(createCell(query));
 
       // Re-render cells to show the new cell
       renderCells();
@@ -692,9 +991,10 @@ function insertIntoCell(cellIndex, text) {
     return;
   }
 
-  if (notebookState.cellEditors && notebookState.cellEditors[cellIndex]) {
+  mountCellEditor(notebookState.cells[cellIndex].id);
+  const cellEditor = getCellEditor(cellIndex);
+  if (cellEditor) {
     try {
-      const cellEditor = notebookState.cellEditors[cellIndex];
       cellEditor.insert(text);
       cellEditor.focus();
       customLogger.log(`Re-Redash: Inserted "${text}" into cell ${cellIndex}`);
@@ -709,15 +1009,30 @@ function insertIntoCell(cellIndex, text) {
  */
 function setupEventListeners() {
   document.addEventListener("click", handleClick);
+  document.addEventListener("dblclick", handleDoubleClick);
   document.addEventListener("input", handleInput);
   document.addEventListener("keydown", handleKeydown);
 
+  // Drag-and-drop reordering of cells by their drag handles
+  document.addEventListener("dragstart", handleCellDragStart);
+  document.addEventListener("dragover", handleCellDragOver);
+  document.addEventListener("drop", handleCellDrop);
+  document.addEventListener("dragend", handleCellDragEnd);
+
+  // Importing .sql and .ipynb files dropped onto the notebook
+  document.addEventListener("dragover", handleFileDragOver);
+  document.addEventListener("dragleave", handleFileDragLeave);
+  document.addEventListener("drop", handleFileDrop);
+
   // Listen for data source changes to refresh completions
   window.addEventListener("dataSourceChanged", handleDataSourceChange);
 
   // Listen for completion updates
   window.addEventListener("completionsLoaded", handleCompletionsLoaded);
 
+  // Compiled SQL previews show the macros as currently defined
+  window.addEventListener("sqlMacrosChanged", updateCompiledSql);
+
   // Listen for schema list copy-to-editor button clicks
   document.addEventListener("click", handleSchemaListCopyClick);
 }
@@ -735,6 +1050,12 @@ function handleDataSourceChange(event) {
 
   // Refresh completions for all active cell editors
   refreshAllCellCompletions();
+
+  if (window.RedashApi) {
+    updateSqlDialect().catch((error) => {
+      customLogger.warn("Re-Redash: Failed to update the SQL dialect:", error);
+    });
+  }
 }
 
 /**
@@ -761,10 +1082,16 @@ function refreshAllCellCompletions() {
 
   // Get all cell editors and refresh their completions
   if (notebookState.cellEditors) {
-    Object.keys(notebookState.cellEditors).forEach((index) => {
-      const cellEditor = notebookState.cellEditors[index];
+    Object.keys(notebookState.cellEditors).forEach((cellId) => {
+      const cellEditor = notebookState.cellEditors[cellId];
+      const cell = notebookState.cells[getCellIndex(cellId)];
+      if (cell && isMarkdownCell(cell)) return;
+      // Cells with their own data source complete from its schema instead
+      if (cell && cell.meta.dataSourceId && window.RedashApi) return;
       if (cellEditor && cellEditor.completers) {
-        customLogger.log(`Re-Redash: Refreshing completions for cell ${index}`);
+        customLogger.log(
+          `Re-Redash: Refreshing completions for cell ${cellId}`
+        );
 
         // Create new completer with updated completions
         const allCompletionsCompleter = {
@@ -799,10 +1126,13 @@ function refreshAllCellCompletions() {
         };
 
         // Replace the completers with updated ones
-        cellEditor.completers = [allCompletionsCompleter];
+        cellEditor.completers = [
+          allCompletionsCompleter,
+          createMacroCompleter(),
+        ];
 
         customLogger.log(
-          `Re-Redash: Updated completions for cell ${index} - ${
+          `Re-Redash: Updated completions for cell ${cellId} - ${
             window.CompletionHandler.getAllCompletions().length
           } completions available`
         );
@@ -826,9 +1156,19 @@ function refreshAllCellCompletions() {
  * @param {Event} e - Click event
  */
 function handleClick(e) {
+  // Shift+Click on a cell's number or header selects a range of cells
+  if (e.shiftKey && notebookState.isNotebookMode && e.target.closest) {
+    const rangeTarget = e.target.closest(".cell-number, .cell-header");
+    if (rangeTarget && !e.target.closest("input, button")) {
+      const cellDiv = rangeTarget.closest(".notebook-cell");
+      selectCellRange(getCellIndex(cellDiv.dataset.cellId));
+      return;
+    }
+  }
+
   // Find the closest button element that has one of our target classes
   const targetButton = e.target.closest(
-    ".notebook-toggle-btn, .cell-execute-btn, .cell-add-btn, .cell-copy-btn, .cell-delete-btn"
+    ".notebook-toggle-btn, .cell-execute-btn, .cell-add-btn, .cell-add-markdown-btn, .cell-copy-btn, .cell-delete-btn, .cell-collapse-btn, .cell-output-toggle-btn, .cell-output-clear-btn, .notebook-run-all-btn, .notebook-run-tagged-btn, .notebook-run-stop-btn, .notebook-export-ipynb-btn, .notebook-export-report-btn, .notebook-outline-btn, .notebook-outline-item, .notebook-graph-btn, .notebook-graph-node, .notebook-outline-fold-btn, .notebook-find-btn, .notebook-find-prev-btn, .notebook-find-next-btn, .notebook-replace-btn, .notebook-replace-all-btn, .notebook-find-close-btn, .notebook-selection-btn, .cell-run-above-btn, .cell-run-below-btn, .cell-run-selected-btn, .cell-compiled-btn, .cell-compiled-close-btn, .cell-number, .cell-static-code"
   );
 
   if (!targetButton) return;
@@ -841,15 +1181,90 @@ function handleClick(e) {
   } else if (targetButton.classList.contains("cell-add-btn")) {
     const cellIndex = parseInt(targetButton.dataset.cellIndex);
     addNewCell(cellIndex + 1);
+  } else if (targetButton.classList.contains("cell-add-markdown-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    addNewCell(cellIndex + 1, "markdown");
   } else if (targetButton.classList.contains("cell-copy-btn")) {
     const cellIndex = parseInt(targetButton.dataset.cellIndex);
     copyCell(cellIndex);
   } else if (targetButton.classList.contains("cell-delete-btn")) {
     const cellIndex = parseInt(targetButton.dataset.cellIndex);
     deleteCell(cellIndex);
+  } else if (targetButton.classList.contains("cell-collapse-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    toggleCellCollapsed(cellIndex);
+  } else if (targetButton.classList.contains("cell-output-toggle-btn")) {
+    toggleCellOutput(targetButton.dataset.cellId);
+  } else if (targetButton.classList.contains("cell-output-clear-btn")) {
+    clearCellResult(targetButton.dataset.cellId);
+  } else if (targetButton.classList.contains("cell-compiled-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    toggleCompiledSql(notebookState.cells[cellIndex].id);
+  } else if (targetButton.classList.contains("cell-compiled-close-btn")) {
+    toggleCompiledSql(targetButton.dataset.cellId);
+  } else if (targetButton.classList.contains("cell-run-above-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    runCellsAbove(cellIndex);
+  } else if (targetButton.classList.contains("cell-run-below-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    runCellAndBelow(cellIndex);
+  } else if (targetButton.classList.contains("cell-run-selected-btn")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    runSelectedCells(cellIndex);
+  } else if (targetButton.classList.contains("cell-static-code")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    focusCell(cellIndex);
+  } else if (targetButton.classList.contains("cell-number")) {
+    const cellIndex = parseInt(targetButton.dataset.cellIndex);
+    toggleCellSelection(cellIndex);
+  } else if (targetButton.classList.contains("notebook-run-all-btn")) {
+    runAllCells();
+  } else if (targetButton.classList.contains("notebook-run-tagged-btn")) {
+    runCellsWithTag(notebookState.tagFilter);
+  } else if (targetButton.classList.contains("notebook-run-stop-btn")) {
+    stopRunningCells();
+  } else if (targetButton.classList.contains("notebook-export-ipynb-btn")) {
+    exportNotebookAsIpynb();
+  } else if (targetButton.classList.contains("notebook-export-report-btn")) {
+    exportNotebookReport();
+  } else if (targetButton.classList.contains("notebook-outline-btn")) {
+    toggleOutline();
+  } else if (targetButton.classList.contains("notebook-outline-fold-btn")) {
+    toggleCellCollapsed(getCellIndex(targetButton.dataset.cellId));
+  } else if (targetButton.classList.contains("notebook-outline-item")) {
+    goToCell(targetButton.dataset.cellId);
+  } else if (targetButton.classList.contains("notebook-graph-btn")) {
+    toggleGraphPanel();
+  } else if (targetButton.classList.contains("notebook-graph-node")) {
+    goToCell(targetButton.dataset.cellId);
+  } else if (targetButton.classList.contains("notebook-find-btn")) {
+    openFindPanel();
+  } else if (targetButton.classList.contains("notebook-find-prev-btn")) {
+    goToFindMatch(-1);
+  } else if (targetButton.classList.contains("notebook-find-next-btn")) {
+    goToFindMatch(1);
+  } else if (targetButton.classList.contains("notebook-replace-btn")) {
+    replaceCurrentFindMatch();
+  } else if (targetButton.classList.contains("notebook-replace-all-btn")) {
+    replaceAllFindMatches();
+  } else if (targetButton.classList.contains("notebook-find-close-btn")) {
+    closeFindPanel();
+  } else if (targetButton.classList.contains("notebook-selection-btn")) {
+    runSelectionAction(targetButton.dataset.selectionAction);
   }
 }
 
+/**
+ * Handle double-click events
+ * @param {Event} e - Double-click event
+ */
+function handleDoubleClick(e) {
+  const preview = e.target.closest(".cell-markdown-preview");
+  if (!preview) return;
+
+  startMarkdownEditing(parseInt(preview.dataset.cellIndex));
+}
+
 /**
  * Handle input events
  * @param {Event} e - Input event
@@ -860,1349 +1275,5397 @@ function handleInput(e) {
     const cellIndex = parseInt(e.target.dataset.cellIndex);
     debouncedUpdateCell(cellIndex, e.target.value);
   }
-}
 
-/**
- * Handle keyboard events
- * @param {Event} e - Keyboard event
- */
-function handleKeydown(e) {
-  // Global navigation shortcuts (work in notebook mode regardless of focus)
+  // Search again when the find text or its options change
   if (
-    notebookState.isNotebookMode &&
-    e.ctrlKey &&
-    !e.shiftKey &&
-    !e.altKey &&
-    !e.metaKey
+    e.target.classList.contains("notebook-find-input") ||
+    e.target.classList.contains("notebook-find-option")
   ) {
-    if (e.key === "ArrowUp") {
-      e.preventDefault();
-      navigateToPreviousCell();
-      return;
-    } else if (e.key === "ArrowDown") {
-      e.preventDefault();
-      navigateToNextCell();
-      return;
-    }
+    notebookState.currentFindMatch = -1;
+    refreshFindMatches();
   }
 
-  // Only handle fallback textarea events (Ace editors have their own command handlers)
-  if (e.target.classList.contains("fallback-textarea")) {
-    // Shift + Enter to execute cell
-    if (e.shiftKey && e.key === "Enter") {
-      e.preventDefault();
-      const cellIndex = parseInt(e.target.dataset.cellIndex);
-      executeCell(cellIndex);
-    }
-    // Ctrl/Cmd + Enter to execute cell and add new one
-    if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
-      e.preventDefault();
-      const cellIndex = parseInt(e.target.dataset.cellIndex);
-      executeCell(cellIndex);
-      // addNewCell(cellIndex + 1);
-    }
-    // Ctrl/Cmd + / to toggle SQL comments
-    if ((e.ctrlKey || e.metaKey) && e.key === "/") {
-      e.preventDefault();
-      toggleSQLComment(e.target);
-    }
-    // Ctrl + Space to show completions
-    if (e.ctrlKey && e.key === " ") {
-      e.preventDefault();
-      showCompletions(e.target);
-    }
-    // Escape to hide completions
-    if (e.key === "Escape") {
-      hideCompletions(e.target);
-    }
-    // Arrow keys for completion navigation
-    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
-      if (handleCompletionNavigation(e.target, e.key)) {
-        e.preventDefault();
-      }
-    }
-    // Enter or Tab to accept completion
-    if (
-      (e.key === "Enter" || e.key === "Tab") &&
-      isCompletionVisible(e.target)
-    ) {
-      if (acceptCompletion(e.target)) {
-        e.preventDefault();
-      }
+  // Filter the cells by tag
+  if (e.target.classList.contains("notebook-tag-filter")) {
+    setTagFilter(e.target.value);
+  }
+
+  // Handle the parameter bar
+  const paramDiv = e.target.closest(".notebook-param");
+  if (paramDiv) {
+    const name = paramDiv.dataset.paramName;
+    if (e.target.classList.contains("notebook-param-type")) {
+      setParameterType(name, e.target.value);
+    } else if (e.target.classList.contains("notebook-param-options")) {
+      setParameterOptions(name, e.target.value);
+    } else if (e.target.classList.contains("notebook-param-input")) {
+      setParameterValue(name, e.target.dataset.field, e.target.value);
     }
   }
+
+  // Handle the Run All "stop on error" option
+  if (e.target.classList.contains("notebook-stop-on-error-input")) {
+    notebookState.config.stopOnError = e.target.checked;
+    saveStopOnErrorPreference(e.target.checked);
+  }
+
+  // Handle cell metadata inputs
+  if (e.target.classList.contains("cell-name-input")) {
+    const cellIndex = parseInt(e.target.dataset.cellIndex);
+    updateCellMeta(cellIndex, { name: e.target.value.trim() });
+  } else if (e.target.classList.contains("cell-tags-input")) {
+    const cellIndex = parseInt(e.target.dataset.cellIndex);
+    updateCellMeta(cellIndex, {
+      tags: e.target.value.split(/[\s,]+/).filter((tag) => tag.length > 0),
+    });
+  } else if (e.target.classList.contains("cell-data-source-select")) {
+    const cellIndex = parseInt(e.target.dataset.cellIndex);
+    setCellDataSource(cellIndex, parseInt(e.target.value) || null);
+  }
 }
 
 /**
- * Create an Ace Editor instance for a cell with completion handler integration
- * @param {HTMLElement} cellDiv - The cell container element
- * @param {Object} cell - Cell data
- * @param {number} index - Cell index
+ * Start dragging a cell by its drag handle
+ * @param {DragEvent} e - Drag start event
  */
-function createCellAceEditor(cellDiv, cell, index) {
-  const editorWrapper = cellDiv.querySelector(".cell-editor-wrapper");
-  if (!editorWrapper || !window.ace) {
-    customLogger.warn(
-      "Re-Redash: Cannot create cell editor - missing wrapper or Ace"
-    );
-    createFallbackTextarea(editorWrapper, cell, index);
-    return;
-  }
+function handleCellDragStart(e) {
+  const handle = e.target.closest && e.target.closest(".cell-drag-handle");
+  if (!handle) return;
 
-  try {
-    // Create a unique ID for this editor
-    const editorId = `cell-editor-${index}-${Date.now()}`;
-    editorWrapper.id = editorId;
+  const cellDiv = handle.closest(".notebook-cell");
+  notebookState.draggedCellId = cellDiv.dataset.cellId;
+  cellDiv.classList.add("cell-dragging");
 
-    // Create Ace Editor instance
-    const cellEditor = window.ace.edit(editorId);
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", cellDiv.dataset.cellId);
+  e.dataTransfer.setDragImage(cellDiv, 20, 20);
+}
 
-    // Copy settings from the main editor
-    if (notebookState.aceEditor) {
-      // Get theme and mode from main editor
-      const mainSession = notebookState.aceEditor.getSession();
-      const cellSession = cellEditor.getSession();
+/**
+ * Get the drop position of a dragged cell relative to the hovered cell
+ * @param {DragEvent} e - Drag event
+ * @param {HTMLElement} cellDiv - Hovered cell element
+ * @returns {string} "before" or "after"
+ */
+function getCellDropPosition(e, cellDiv) {
+  const rect = cellDiv.getBoundingClientRect();
+  return e.clientY < rect.top + rect.height / 2 ? "before" : "after";
+}
 
-      // Apply same theme and mode
-      cellEditor.setTheme(notebookState.aceEditor.getTheme());
-      cellSession.setMode(mainSession.getMode());
+/**
+ * Remove drop indicators from all cells
+ */
+function clearCellDropIndicators() {
+  document
+    .querySelectorAll(
+      ".notebook-cell.cell-drop-before, .notebook-cell.cell-drop-after"
+    )
+    .forEach((cellDiv) => {
+      cellDiv.classList.remove("cell-drop-before", "cell-drop-after");
+    });
+}
 
-      // Copy other settings
-      cellEditor.setOptions({
-        enableBasicAutocompletion: true,
-        enableSnippets: true,
-        enableLiveAutocompletion: true,
-        fontSize: "13px",
-        showLineNumbers: false,
-        showGutter: false,
-        highlightActiveLine: false,
-        showPrintMargin: false,
-        wrap: true,
-        maxLines: Infinity,
-        minLines: 1,
-      });
-      cellEditor.renderer.setScrollMargin(0, 10, 0, 0);
-    }
+/**
+ * Show where a dragged cell would be dropped
+ * @param {DragEvent} e - Drag over event
+ */
+function handleCellDragOver(e) {
+  if (!notebookState.draggedCellId) return;
 
-    // Set initial content
-    cellEditor.setValue(cell.content, 1);
+  const cellDiv = e.target.closest && e.target.closest(".notebook-cell");
+  if (!cellDiv) return;
 
-    // Store reference to the editor
-    if (!notebookState.cellEditors) {
-      notebookState.cellEditors = {};
-    }
-    notebookState.cellEditors[index] = cellEditor;
-
-    // Use editor.completers.push with getAllCompletions() approach
-    if (window.CompletionHandler && window.CompletionHandler.isLoaded()) {
-      const allCompletionsCompleter = {
-        getCompletions: function (editor, session, pos, prefix, callback) {
-          // Get all completions from the completion handler
-          const allCompletions = window.CompletionHandler.getAllCompletions();
-
-          if (!allCompletions || allCompletions.length === 0) {
-            callback(null, []);
-            return;
-          }
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
 
-          // Filter completions based on prefix
-          const filteredCompletions = allCompletions.filter((completion) => {
-            const value =
-              completion.value || completion.name || completion.caption || "";
-            return prefix
-              ? value.toLowerCase().startsWith(prefix.toLowerCase())
-              : true;
-          });
+  const position = getCellDropPosition(e, cellDiv);
+  clearCellDropIndicators();
+  if (cellDiv.dataset.cellId !== notebookState.draggedCellId) {
+    cellDiv.classList.add(`cell-drop-${position}`);
+  }
+}
 
-          // Convert to Ace editor format
-          const aceCompletions = filteredCompletions.map((completion) => ({
-            caption: completion.value || completion.name || completion.caption,
-            value: completion.value || completion.name || completion.caption,
-            meta: completion.meta || completion.type || "sql",
-            score: completion.score || 1000,
-          }));
+/**
+ * Drop a dragged cell before or after the hovered cell
+ * @param {DragEvent} e - Drop event
+ */
+function handleCellDrop(e) {
+  if (!notebookState.draggedCellId) return;
 
-          callback(null, aceCompletions);
-        },
-      };
+  const cellDiv = e.target.closest && e.target.closest(".notebook-cell");
+  if (!cellDiv) return;
 
-      customLogger.log(allCompletionsCompleter, cellEditor.completers);
+  e.preventDefault();
 
-      // Initialize completers array if it doesn't exist
-      if (!cellEditor.completers) {
-        cellEditor.completers = [];
-      }
+  const cells = notebookState.cells;
+  const fromIndex = cells.findIndex(
+    (cell) => cell.id === notebookState.draggedCellId
+  );
+  const targetIndex = cells.findIndex(
+    (cell) => cell.id === cellDiv.dataset.cellId
+  );
+  if (fromIndex === -1 || targetIndex === -1) return;
 
-      // Push the getAllCompletions completer
-      cellEditor.completers = [allCompletionsCompleter];
-      customLogger.log(cellEditor.completers);
+  // Index in the array after the dragged cell has been taken out
+  let toIndex =
+    getCellDropPosition(e, cellDiv) === "after" ? targetIndex + 1 : targetIndex;
+  if (fromIndex < toIndex) {
+    toIndex--;
+  }
 
-      customLogger.log(
-        "Re-Redash: Added getAllCompletions completer for cell",
-        index
-      );
-      customLogger.log(
-        "Re-Redash: Cell editor now has",
-        cellEditor.completers.length,
-        "completers"
-      );
-      customLogger.log(
-        "Re-Redash: Available completions:",
-        window.CompletionHandler.getAllCompletions().length
-      );
-    } else {
-      customLogger.log(
-        "Re-Redash: CompletionHandler not available for cell",
-        index
-      );
-    }
+  moveCell(fromIndex, toIndex);
+}
 
-    // Set up event listeners
-    cellEditor.on("change", (delta) => {
-      const content = cellEditor.getValue();
-      debouncedUpdateCell(index, content);
-    });
+/**
+ * Reset drag state when a drag ends (dropped or cancelled)
+ */
+function handleCellDragEnd() {
+  if (!notebookState.draggedCellId) return;
 
-    // Add focus event listener for visual feedback
-    cellEditor.on("focus", () => {
-      updateCellFocusState(index);
-    });
+  notebookState.draggedCellId = null;
+  clearCellDropIndicators();
+  document.querySelectorAll(".notebook-cell.cell-dragging").forEach((cell) => {
+    cell.classList.remove("cell-dragging");
+  });
+}
 
-    // Add keyboard shortcuts
-    cellEditor.commands.addCommand({
-      name: "executeCell",
-      bindKey: { win: "Ctrl-Enter", mac: "Cmd-Enter" },
-      exec: function () {
-        executeCell(index);
-      },
-    });
+/**
+ * Check whether a drag carries files from outside the page
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True for file drags
+ */
+function isFileDrag(e) {
+  return (
+    !notebookState.draggedCellId &&
+    !!e.dataTransfer &&
+    Array.from(e.dataTransfer.types || []).includes("Files")
+  );
+}
 
-    // cellEditor.commands.addCommand({
-    //   name: "executeCellAndAddNew",
-    //   bindKey: { win: "Ctrl-Enter", mac: "Cmd-Enter" },
-    //   exec: function () {
-    //     executeCell(index);
-    //     addNewCell(index + 1);
-    //   },
-    // });
+/**
+ * Check whether an event happened inside the visible notebook
+ * @param {Event} e - Event
+ * @returns {boolean} True inside the notebook container
+ */
+function isInsideNotebook(e) {
+  return (
+    notebookState.isNotebookMode &&
+    !!notebookState.notebookContainer &&
+    notebookState.notebookContainer.contains(e.target)
+  );
+}
 
-    cellEditor.commands.addCommand({
-      name: "toggleComment",
-      bindKey: { win: "Ctrl-/", mac: "Cmd-/" },
-      exec: function () {
-        cellEditor.toggleCommentLines();
-      },
-    });
+/**
+ * Show the append/replace drop targets over the notebook
+ */
+function showImportOverlay() {
+  const overlay = notebookState.notebookContainer.querySelector(
+    ".notebook-import-overlay"
+  );
+  if (overlay.classList.contains("visible")) return;
+
+  // The notebook scrolls, so the overlay is fixed to its visible area
+  const rect = notebookState.notebookContainer.getBoundingClientRect();
+  overlay.style.top = `${rect.top}px`;
+  overlay.style.left = `${rect.left}px`;
+  overlay.style.width = `${rect.width}px`;
+  overlay.style.height = `${rect.height}px`;
+  overlay.classList.add("visible");
+}
 
-    // Add cell navigation commands
-    cellEditor.commands.addCommand({
-      name: "navigateToPreviousCell",
-      bindKey: { win: "Cmd-Up", mac: "Cmd-Up" },
-      exec: function () {
-        navigateToPreviousCell();
-      },
-    });
+/**
+ * Hide the append/replace drop targets
+ */
+function hideImportOverlay() {
+  if (!notebookState.notebookContainer) return;
 
-    cellEditor.commands.addCommand({
-      name: "navigateToNextCell",
-      bindKey: { win: "Cmd-Down", mac: "Cmd-Down" },
-      exec: function () {
-        navigateToNextCell();
-      },
-    });
+  const overlay = notebookState.notebookContainer.querySelector(
+    ".notebook-import-overlay"
+  );
+  overlay.classList.remove("visible");
+  overlay
+    .querySelectorAll(".notebook-import-target.active")
+    .forEach((target) => target.classList.remove("active"));
+}
 
-    // Add duplicate cell command
-    cellEditor.commands.addCommand({
-      name: "duplicateCell",
-      bindKey: { win: "Ctrl-Shift-D", mac: "Cmd-Shift-D" },
-      exec: function () {
-        copyCell(index);
-      },
-    });
+/**
+ * Accept files dragged over the notebook and highlight the hovered target
+ * @param {DragEvent} e - Drag over event
+ */
+function handleFileDragOver(e) {
+  if (!isFileDrag(e) || !isInsideNotebook(e)) return;
 
-    // Add delete cell command
-    cellEditor.commands.addCommand({
-      name: "deleteCell",
-      bindKey: { win: "Ctrl-Shift-Backspace", mac: "Cmd-Shift-Backspace" },
-      exec: function () {
-        deleteCell(index);
-      },
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+  showImportOverlay();
+
+  const target = e.target.closest(".notebook-import-target");
+  notebookState.notebookContainer
+    .querySelectorAll(".notebook-import-target")
+    .forEach((element) => {
+      element.classList.toggle("active", element === target);
     });
+}
 
-    // Add new cell command
-    cellEditor.commands.addCommand({
-      name: "addNewCell",
-      bindKey: { win: "Ctrl-Shift-A", mac: "Cmd-Shift-A" },
-      exec: function () {
-        addNewCell(index + 1);
-      },
-    });
+/**
+ * Hide the drop targets when files are dragged out of the notebook
+ * @param {DragEvent} e - Drag leave event
+ */
+function handleFileDragLeave(e) {
+  if (!isFileDrag(e) || !notebookState.notebookContainer) return;
 
-    customLogger.log(
-      `Re-Redash: Created Ace editor for cell ${index} with completion handler integration`
-    );
-  } catch (error) {
-    customLogger.warn(
-      `Re-Redash: Failed to create Ace editor for cell ${index}:`,
-      error
-    );
-    createFallbackTextarea(editorWrapper, cell, index);
+  const next = e.relatedTarget;
+  if (!next || !notebookState.notebookContainer.contains(next)) {
+    hideImportOverlay();
   }
 }
 
 /**
- * Create fallback textarea if Ace Editor fails
- * @param {HTMLElement} wrapper - The wrapper element
- * @param {Object} cell - Cell data
- * @param {number} index - Cell index
+ * Import the files dropped onto one of the drop targets
+ * @param {DragEvent} e - Drop event
  */
-function createFallbackTextarea(wrapper, cell, index) {
-  wrapper.innerHTML = `
-    <textarea
-      class="cell-input fallback-textarea"
-      data-cell-index="${index}"
-      placeholder="Enter your SQL query here... (Cmd+/ to toggle comments)"
-      rows="1"
-    >${cell.content}</textarea>
-  `;
+function handleFileDrop(e) {
+  if (!isFileDrag(e) || !isInsideNotebook(e)) return;
 
-  // Add focus event listener to the textarea
-  const textarea = wrapper.querySelector(".fallback-textarea");
-  if (textarea) {
-    textarea.addEventListener("focus", () => {
-      updateCellFocusState(index);
-    });
+  e.preventDefault();
+  hideImportOverlay();
+
+  const target = e.target.closest(".notebook-import-target");
+  const mode = target ? target.dataset.importMode : "append";
+  const file = e.dataTransfer.files[0];
+  if (file) {
+    importNotebookFile(file, mode);
   }
 }
 
 /**
- * Show completions for the given textarea (fallback only)
- * @param {HTMLTextAreaElement} textarea - The textarea element
+ * Parse an imported file into cells
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Parsed cells
  */
-function showCompletions(textarea) {
-  if (!window.CompletionHandler || !window.CompletionHandler.isLoaded()) {
-    customLogger.warn("Re-Redash: Completion handler not loaded");
-    return;
+function parseImportedFile(fileName, text) {
+  if (/\.ipynb$/i.test(fileName)) {
+    if (!window.NotebookImport) {
+      throw new Error("Notebook import is not available yet.");
+    }
+    return window.NotebookImport.parseIpynb(text, getSplitterOptions()).map(
+      (cell) => createCell(cell.content, cell.meta, cell.type)
+    );
   }
+  if (/\.sql$/i.test(fileName)) {
+    return parseQueries(text);
+  }
+  throw new Error("Only .sql and .ipynb files can be imported.");
+}
 
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  const dropdown = document.querySelector(
-    `.completion-dropdown[data-cell-index="${cellIndex}"]`
-  );
-  if (!dropdown) return;
+/**
+ * Import a .sql or .ipynb file into the notebook
+ * @param {File} file - Dropped file
+ * @param {string} mode - "append" to add the cells, "replace" to replace all cells
+ * @returns {Promise} Resolves when the file has been imported (or failed)
+ */
+function importNotebookFile(file, mode = "append") {
+  return file
+    .text()
+    .then((text) => {
+      const cells = parseImportedFile(file.name, text);
+      if (cells.length === 0) {
+        throw new Error("The file contains no cells.");
+      }
+      importCells(cells, mode);
+      customLogger.log(
+        `Re-Redash: Imported ${cells.length} cells from ${file.name} (${mode})`
+      );
+    })
+    .catch((error) => {
+      customLogger.error(`Re-Redash: Failed to import ${file.name}:`, error);
+      alert(`Could not import ${file.name}: ${error.message}`);
+    });
+}
 
-  // Get current word being typed
-  const cursorPos = textarea.selectionStart;
-  const textBeforeCursor = textarea.value.slice(0, cursorPos);
-  const words = textBeforeCursor.split(/\s+/);
-  const currentWord = words[words.length - 1] || "";
+/**
+ * Add imported cells to the notebook or replace all cells with them
+ * @param {Array<Object>} cells - Imported cells
+ * @param {string} mode - "append" or "replace"
+ */
+function importCells(cells, mode) {
+  recordNotebookHistory(mode === "replace" ? "Replace cells" : "Import cells");
+
+  // A notebook holding just one empty cell is replaced instead of appended to
+  const isEmpty =
+    notebookState.cells.length === 1 && !notebookState.cells[0].content.trim();
+  const replaceAll = mode === "replace" || isEmpty;
+  const firstImportedIndex = replaceAll ? 0 : notebookState.cells.length;
+  const renamedCount = renameClashingCells(
+    cells,
+    replaceAll ? [] : notebookState.cells
+  );
 
-  // Get completions
-  const completions =
-    window.CompletionHandler.getCompletionsForPrefix(currentWord);
+  notebookState.cells = replaceAll ? cells : notebookState.cells.concat(cells);
+  renderCells();
+  syncCellsToAceEditor();
 
-  if (completions.length === 0) {
-    hideCompletions(textarea);
-    return;
-  }
+  const count = `${cells.length} cell${cells.length === 1 ? "" : "s"}`;
+  const renamed = renamedCount
+    ? `, ${renamedCount} renamed to keep cell names unique`
+    : "";
+  showNotebookToast(`Imported ${count}${renamed}`, "Undo", undoNotebookChange);
+  setTimeout(() => {
+    scrollToCell(firstImportedIndex);
+  }, 100);
+}
 
-  // Populate dropdown
-  dropdown.innerHTML = "";
-  completions.slice(0, 10).forEach((completion, index) => {
-    const item = document.createElement("div");
-    item.className = "completion-item";
-    if (index === 0) item.classList.add("selected");
+/**
+ * Rename imported cells whose name is taken by a cell of the notebook or an
+ * earlier imported cell (`name` becomes `name_2`), as references to a name
+ * several cells have can't be resolved
+ * References between the imported cells are changed to the new names
+ * @param {Array<Object>} cells - Imported cells, renamed in place
+ * @param {Array<Object>} existingCells - Cells the imported cells are added to
+ * @returns {number} Number of renamed cells
+ */
+function renameClashingCells(cells, existingCells) {
+  const taken = new Set(
+    existingCells.map((cell) => cell.meta.name).filter(Boolean)
+  );
+  // New name of each imported name, the first cell having it counts
+  const newNames = {};
+  let renamedCount = 0;
 
-    const value = completion.value || completion.name || completion.caption;
-    const meta = completion.meta || completion.type || "";
+  cells.forEach((cell) => {
+    const name = cell.meta.name;
+    if (!name) return;
 
-    item.innerHTML = `
-      <span class="completion-value">${value}</span>
-      ${meta ? `<span class="completion-meta">${meta}</span>` : ""}
-    `;
+    let uniqueName = name;
+    for (let suffix = 2; taken.has(uniqueName); suffix++) {
+      uniqueName = `${name}_${suffix}`;
+    }
+    taken.add(uniqueName);
+    if (!(name in newNames)) {
+      newNames[name] = uniqueName;
+    }
+    if (uniqueName !== name) {
+      cell.meta.name = uniqueName;
+      renamedCount++;
+      customLogger.log(
+        `Re-Redash: Renamed imported cell "${name}" to "${uniqueName}"`
+      );
+    }
+  });
 
-    item.addEventListener("click", () => {
-      insertCompletion(textarea, value, currentWord);
-      hideCompletions(textarea);
+  const splitterOptions = getSplitterOptions();
+  cells
+    .filter((cell) => !isMarkdownCell(cell))
+    .forEach((cell) => {
+      cell.content = window.NotebookReferences.findReferences(
+        cell.content,
+        splitterOptions
+      )
+        .reverse()
+        .reduce((content, reference) => {
+          const newName = newNames[reference.name];
+          if (!newName || newName === reference.name) return content;
+          return (
+            content.slice(0, reference.start) +
+            `{{cell:${newName}}}` +
+            content.slice(reference.end)
+          );
+        }, cell.content);
     });
 
-    dropdown.appendChild(item);
-  });
+  return renamedCount;
+}
+
+/**
+ * Check whether an element handles text editing (and its own undo) itself
+ * @param {HTMLElement} element - Event target
+ * @returns {boolean} True for inputs, textareas and Ace editors
+ */
+function isTextInputTarget(element) {
+  return (
+    !!element.closest &&
+    !!element.closest(
+      "input, textarea, select, [contenteditable='true'], .ace_editor"
+    )
+  );
+}
+
+/**
+ * Handle keyboard events
+ * @param {Event} e - Keyboard event
+ */
+function handleKeydown(e) {
+  // Global navigation shortcuts (work in notebook mode regardless of focus)
+  if (
+    notebookState.isNotebookMode &&
+    e.ctrlKey &&
+    !e.shiftKey &&
+    !e.altKey &&
+    !e.metaKey
+  ) {
+    if (e.key === "ArrowUp") {
+      e.preventDefault();
+      navigateToPreviousCell();
+      return;
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      navigateToNextCell();
+      return;
+    }
+  }
+
+  // Notebook-wide find and replace
+  if (
+    notebookState.isNotebookMode &&
+    (e.metaKey || e.ctrlKey) &&
+    e.shiftKey &&
+    !e.altKey &&
+    e.key.toLowerCase() === "f"
+  ) {
+    e.preventDefault();
+    openFindPanel();
+    return;
+  }
+  if (e.target.closest && e.target.closest(".notebook-find-panel")) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeFindPanel();
+    } else if (
+      e.key === "Enter" &&
+      e.target.classList.contains("notebook-find-input")
+    ) {
+      e.preventDefault();
+      goToFindMatch(e.shiftKey ? -1 : 1, true);
+    }
+    return;
+  }
+
+  // Extend or clear the cell selection while no editor is focused
+  if (notebookState.isNotebookMode && !isTextInputTarget(e.target)) {
+    if (
+      e.shiftKey &&
+      !e.altKey &&
+      !e.ctrlKey &&
+      !e.metaKey &&
+      (e.key === "ArrowUp" || e.key === "ArrowDown")
+    ) {
+      e.preventDefault();
+      extendCellSelection(e.key === "ArrowUp" ? -1 : 1);
+      return;
+    }
+    if (e.key === "Escape" && notebookState.selectedCellIds.size > 0) {
+      clearCellSelection();
+      return;
+    }
+  }
+
+  // Notebook history shortcuts, only while the focus is in the notebook
+  // (cell editors and inputs keep their own undo)
+  if (
+    notebookState.isNotebookMode &&
+    e.target.closest &&
+    e.target.closest(".notebook-container") &&
+    (e.metaKey || e.ctrlKey) &&
+    !e.altKey &&
+    e.key.toLowerCase() === "z" &&
+    !isTextInputTarget(e.target)
+  ) {
+    e.preventDefault();
+    if (e.shiftKey) {
+      redoNotebookChange();
+    } else {
+      undoNotebookChange();
+    }
+    return;
+  }
+
+  // Only handle fallback textarea events (Ace editors have their own command handlers)
+  if (e.target.classList.contains("fallback-textarea")) {
+    // Shift + Enter to execute cell
+    if (e.shiftKey && e.key === "Enter") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      executeCell(cellIndex);
+    }
+    // Ctrl/Cmd + Enter to execute cell and add new one
+    if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      executeCell(cellIndex);
+      // addNewCell(cellIndex + 1);
+    }
+    // Alt + Shift + Up/Down to move the cell
+    if (e.altKey && e.shiftKey && e.key === "ArrowUp") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      moveCell(cellIndex, cellIndex - 1);
+    }
+    if (e.altKey && e.shiftKey && e.key === "ArrowDown") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      moveCell(cellIndex, cellIndex + 1);
+    }
+    // Ctrl + Shift + Minus to split the cell at the cursor
+    if (e.ctrlKey && e.shiftKey && (e.key === "_" || e.key === "-")) {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      splitCell(cellIndex, e.target.selectionStart);
+    }
+    // Alt + Shift + K/J to merge with the previous/next cell
+    if (e.altKey && e.shiftKey && e.code === "KeyK") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      mergeCellWithNext(cellIndex - 1);
+    }
+    if (e.altKey && e.shiftKey && e.code === "KeyJ") {
+      e.preventDefault();
+      const cellIndex = parseInt(e.target.dataset.cellIndex);
+      mergeCellWithNext(cellIndex);
+    }
+    // Ctrl/Cmd + / to toggle SQL comments
+    if ((e.ctrlKey || e.metaKey) && e.key === "/") {
+      e.preventDefault();
+      toggleSQLComment(e.target);
+    }
+    // Ctrl + Space to show completions
+    if (e.ctrlKey && e.key === " ") {
+      e.preventDefault();
+      showCompletions(e.target);
+    }
+    // Escape to hide completions
+    if (e.key === "Escape") {
+      hideCompletions(e.target);
+    }
+    // Arrow keys for completion navigation
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (handleCompletionNavigation(e.target, e.key)) {
+        e.preventDefault();
+      }
+    }
+    // Enter or Tab to accept completion
+    if (
+      (e.key === "Enter" || e.key === "Tab") &&
+      isCompletionVisible(e.target)
+    ) {
+      if (acceptCompletion(e.target)) {
+        e.preventDefault();
+      }
+    }
+  }
+}
+
+/**
+ * Create an Ace Editor instance for a cell with completion handler integration
+ * @param {HTMLElement} cellDiv - The cell container element
+ * @param {Object} cell - Cell data
+ */
+function createCellAceEditor(cellDiv, cell) {
+  const editorWrapper = cellDiv.querySelector(".cell-editor-wrapper");
+  if (!editorWrapper || !window.ace) {
+    customLogger.warn(
+      "Re-Redash: Cannot create cell editor - missing wrapper or Ace"
+    );
+    createFallbackTextarea(editorWrapper, cell, getCellIndex(cell.id));
+    return;
+  }
+
+  // Commands look the index up when they run, as cells can move
+  const currentIndex = () => getCellIndex(cell.id);
+
+  try {
+    // Create a unique ID for this editor
+    const editorId = `cell-editor-${cell.id}-${Date.now()}`;
+    editorWrapper.id = editorId;
+    editorWrapper.innerHTML = "";
+
+    // Create Ace Editor instance, restoring the session (content, cursor and
+    // undo history) it had before it was scrolled out of view
+    const cellEditor = window.ace.edit(editorId);
+    const savedSession = notebookState.cellSessions[cell.id];
+    if (savedSession) {
+      cellEditor.setSession(savedSession);
+      delete notebookState.cellSessions[cell.id];
+    }
+
+    // Copy settings from the main editor
+    if (notebookState.aceEditor) {
+      // Get theme and mode from main editor
+      const mainSession = notebookState.aceEditor.getSession();
+      const cellSession = cellEditor.getSession();
+
+      // Apply same theme and mode (markdown cells are edited as plain text)
+      cellEditor.setTheme(notebookState.aceEditor.getTheme());
+      cellSession.setMode(
+        isMarkdownCell(cell) ? "ace/mode/text" : mainSession.getMode()
+      );
+
+      // Copy other settings
+      cellEditor.setOptions({
+        enableBasicAutocompletion: true,
+        enableSnippets: true,
+        enableLiveAutocompletion: true,
+        fontSize: "13px",
+        showLineNumbers: false,
+        showGutter: false,
+        highlightActiveLine: false,
+        showPrintMargin: false,
+        wrap: true,
+        maxLines: Infinity,
+        minLines: 1,
+      });
+      cellEditor.renderer.setScrollMargin(0, 10, 0, 0);
+    }
+
+    // Set initial content
+    if (!savedSession) {
+      cellEditor.setValue(cell.content, 1);
+    }
+
+    // Store reference to the editor
+    notebookState.cellEditors[cell.id] = cellEditor;
+
+    // Use editor.completers.push with getAllCompletions() approach
+    if (isMarkdownCell(cell)) {
+      cellEditor.completers = [];
+    } else if (cell.meta.dataSourceId && window.RedashApi) {
+      cellEditor.completers = [
+        createDataSourceCompleter(cell.meta.dataSourceId),
+        createMacroCompleter(),
+      ];
+    } else if (
+      window.CompletionHandler &&
+      window.CompletionHandler.isLoaded()
+    ) {
+      const allCompletionsCompleter = {
+        getCompletions: function (editor, session, pos, prefix, callback) {
+          // Get all completions from the completion handler
+          const allCompletions = window.CompletionHandler.getAllCompletions();
+
+          if (!allCompletions || allCompletions.length === 0) {
+            callback(null, []);
+            return;
+          }
+
+          // Filter completions based on prefix
+          const filteredCompletions = allCompletions.filter((completion) => {
+            const value =
+              completion.value || completion.name || completion.caption || "";
+            return prefix
+              ? value.toLowerCase().startsWith(prefix.toLowerCase())
+              : true;
+          });
+
+          // Convert to Ace editor format
+          const aceCompletions = filteredCompletions.map((completion) => ({
+            caption: completion.value || completion.name || completion.caption,
+            value: completion.value || completion.name || completion.caption,
+            meta: completion.meta || completion.type || "sql",
+            score: completion.score || 1000,
+          }));
+
+          callback(null, aceCompletions);
+        },
+      };
+
+      customLogger.log(allCompletionsCompleter, cellEditor.completers);
+
+      // Initialize completers array if it doesn't exist
+      if (!cellEditor.completers) {
+        cellEditor.completers = [];
+      }
+
+      // Push the getAllCompletions completer
+      cellEditor.completers = [allCompletionsCompleter, createMacroCompleter()];
+      customLogger.log(cellEditor.completers);
+
+      customLogger.log(
+        "Re-Redash: Added getAllCompletions completer for cell",
+        cell.id
+      );
+      customLogger.log(
+        "Re-Redash: Cell editor now has",
+        cellEditor.completers.length,
+        "completers"
+      );
+      customLogger.log(
+        "Re-Redash: Available completions:",
+        window.CompletionHandler.getAllCompletions().length
+      );
+    } else {
+      customLogger.log(
+        "Re-Redash: CompletionHandler not available for cell",
+        cell.id
+      );
+    }
+
+    // Set up event listeners
+    cellEditor.on("change", (delta) => {
+      const content = cellEditor.getValue();
+      debouncedUpdateCell(currentIndex(), content);
+    });
+
+    // Add focus event listener for visual feedback
+    cellEditor.on("focus", () => {
+      updateCellFocusState(currentIndex());
+    });
+
+    // Add keyboard shortcuts
+    cellEditor.commands.addCommand({
+      name: "executeCell",
+      bindKey: { win: "Ctrl-Enter", mac: "Cmd-Enter" },
+      exec: function () {
+        executeCell(currentIndex());
+      },
+    });
+
+    // cellEditor.commands.addCommand({
+    //   name: "executeCellAndAddNew",
+    //   bindKey: { win: "Ctrl-Enter", mac: "Cmd-Enter" },
+    //   exec: function () {
+    //     executeCell(index);
+    //     addNewCell(index + 1);
+    //   },
+    // });
+
+    cellEditor.commands.addCommand({
+      name: "toggleComment",
+      bindKey: { win: "Ctrl-/", mac: "Cmd-/" },
+      exec: function () {
+        cellEditor.toggleCommentLines();
+      },
+    });
+
+    // Add cell navigation commands
+    cellEditor.commands.addCommand({
+      name: "navigateToPreviousCell",
+      bindKey: { win: "Cmd-Up", mac: "Cmd-Up" },
+      exec: function () {
+        navigateToPreviousCell();
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "navigateToNextCell",
+      bindKey: { win: "Cmd-Down", mac: "Cmd-Down" },
+      exec: function () {
+        navigateToNextCell();
+      },
+    });
+
+    // Add batch run commands
+    cellEditor.commands.addCommand({
+      name: "runCellsAbove",
+      bindKey: { win: "Ctrl-Alt-Enter", mac: "Cmd-Alt-Enter" },
+      exec: function () {
+        runCellsAbove(currentIndex());
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "runCellAndBelow",
+      bindKey: { win: "Ctrl-Shift-Enter", mac: "Cmd-Shift-Enter" },
+      exec: function () {
+        runCellAndBelow(currentIndex());
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "runSelectedCells",
+      bindKey: { win: "Alt-Shift-Enter", mac: "Alt-Shift-Enter" },
+      exec: function () {
+        runSelectedCells(currentIndex());
+      },
+    });
+
+    // Add move cell commands
+    cellEditor.commands.addCommand({
+      name: "moveCellUp",
+      bindKey: { win: "Alt-Shift-Up", mac: "Alt-Shift-Up" },
+      exec: function () {
+        const index = currentIndex();
+        moveCell(index, index - 1);
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "moveCellDown",
+      bindKey: { win: "Alt-Shift-Down", mac: "Alt-Shift-Down" },
+      exec: function () {
+        const index = currentIndex();
+        moveCell(index, index + 1);
+      },
+    });
+
+    // Add split and merge commands
+    cellEditor.commands.addCommand({
+      name: "splitCell",
+      bindKey: { win: "Ctrl-Shift--", mac: "Ctrl-Shift--" },
+      exec: function (editor) {
+        const offset = editor
+          .getSession()
+          .getDocument()
+          .positionToIndex(editor.getCursorPosition());
+        splitCell(currentIndex(), offset);
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "mergeCellWithNext",
+      bindKey: { win: "Alt-Shift-J", mac: "Alt-Shift-J" },
+      exec: function () {
+        mergeCellWithNext(currentIndex());
+      },
+    });
+
+    cellEditor.commands.addCommand({
+      name: "mergeCellWithPrevious",
+      bindKey: { win: "Alt-Shift-K", mac: "Alt-Shift-K" },
+      exec: function () {
+        mergeCellWithNext(currentIndex() - 1);
+      },
+    });
+
+    // Add duplicate cell command
+    cellEditor.commands.addCommand({
+      name: "duplicateCell",
+      bindKey: { win: "Ctrl-Shift-D", mac: "Cmd-Shift-D" },
+      exec: function () {
+        copyCell(currentIndex());
+      },
+    });
+
+    // Add delete cell command
+    cellEditor.commands.addCommand({
+      name: "deleteCell",
+      bindKey: { win: "Ctrl-Shift-Backspace", mac: "Cmd-Shift-Backspace" },
+      exec: function () {
+        deleteCell(currentIndex());
+      },
+    });
+
+    // Add new cell command
+    cellEditor.commands.addCommand({
+      name: "addNewCell",
+      bindKey: { win: "Ctrl-Shift-A", mac: "Cmd-Shift-A" },
+      exec: function () {
+        addNewCell(currentIndex() + 1);
+      },
+    });
+
+    // Add new markdown cell command
+    cellEditor.commands.addCommand({
+      name: "addMarkdownCell",
+      bindKey: { win: "Ctrl-Shift-M", mac: "Cmd-Shift-M" },
+      exec: function () {
+        addNewCell(currentIndex() + 1, "markdown");
+      },
+    });
+
+    customLogger.log(
+      `Re-Redash: Created Ace editor for cell ${cell.id} with completion handler integration`
+    );
+  } catch (error) {
+    customLogger.warn(
+      `Re-Redash: Failed to create Ace editor for cell ${cell.id}:`,
+      error
+    );
+    createFallbackTextarea(editorWrapper, cell, currentIndex());
+  }
+}
+
+/**
+ * Create fallback textarea if Ace Editor fails
+ * @param {HTMLElement} wrapper - The wrapper element
+ * @param {Object} cell - Cell data
+ * @param {number} index - Cell index
+ */
+function createFallbackTextarea(wrapper, cell, index) {
+  wrapper.innerHTML = `
+    <textarea
+      class="cell-input fallback-textarea"
+      data-cell-index="${index}"
+      placeholder="Enter your SQL query here... (Cmd+/ to toggle comments)"
+      rows="1"
+    >${cell.content}</textarea>
+  `;
+
+  // Add focus event listener to the textarea
+  const textarea = wrapper.querySelector(".fallback-textarea");
+  if (textarea) {
+    textarea.addEventListener("focus", () => {
+      updateCellFocusState(index);
+    });
+  }
+}
+
+/**
+ * Show completions for the given textarea (fallback only)
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ */
+function showCompletions(textarea) {
+  if (!window.CompletionHandler || !window.CompletionHandler.isLoaded()) {
+    customLogger.warn("Re-Redash: Completion handler not loaded");
+    return;
+  }
+
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  const dropdown = document.querySelector(
+    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  );
+  if (!dropdown) return;
+
+  // Get current word being typed
+  const cursorPos = textarea.selectionStart;
+  const textBeforeCursor = textarea.value.slice(0, cursorPos);
+  const words = textBeforeCursor.split(/\s+/);
+  const currentWord = words[words.length - 1] || "";
+
+  // Get completions
+  const completions =
+    window.CompletionHandler.getCompletionsForPrefix(currentWord);
+
+  if (completions.length === 0) {
+    hideCompletions(textarea);
+    return;
+  }
+
+  // Populate dropdown
+  dropdown.innerHTML = "";
+  completions.slice(0, 10).forEach((completion, index) => {
+    const item = document.createElement("div");
+    item.className = "completion-item";
+    if (index === 0) item.classList.add("selected");
+
+    const value = completion.value || completion.name || completion.caption;
+    const meta = completion.meta || completion.type || "";
+
+    item.innerHTML = `
+      <span class="completion-value">${value}</span>
+      ${meta ? `<span class="completion-meta">${meta}</span>` : ""}
+    `;
+
+    item.addEventListener("click", () => {
+      insertCompletion(textarea, value, currentWord);
+      hideCompletions(textarea);
+    });
+
+    dropdown.appendChild(item);
+  });
+
+  // Position and show dropdown
+  positionDropdown(textarea, dropdown);
+  dropdown.style.display = "block";
+}
+
+/**
+ * Hide completions dropdown
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ */
+function hideCompletions(textarea) {
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  const dropdown = document.querySelector(
+    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  );
+  if (dropdown) {
+    dropdown.style.display = "none";
+  }
+}
+
+/**
+ * Check if completions are visible
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ */
+function isCompletionVisible(textarea) {
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  const dropdown = document.querySelector(
+    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  );
+  return dropdown && dropdown.style.display !== "none";
+}
+
+/**
+ * Handle completion navigation with arrow keys
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ * @param {string} key - The pressed key
+ */
+function handleCompletionNavigation(textarea, key) {
+  if (!isCompletionVisible(textarea)) return false;
+
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  const dropdown = document.querySelector(
+    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  );
+  const items = dropdown.querySelectorAll(".completion-item");
+  const selected = dropdown.querySelector(".completion-item.selected");
+
+  if (!selected || items.length === 0) return false;
+
+  let newIndex = Array.from(items).indexOf(selected);
+
+  if (key === "ArrowDown") {
+    newIndex = (newIndex + 1) % items.length;
+  } else if (key === "ArrowUp") {
+    newIndex = (newIndex - 1 + items.length) % items.length;
+  }
+
+  // Update selection
+  selected.classList.remove("selected");
+  items[newIndex].classList.add("selected");
+
+  return true;
+}
+
+/**
+ * Accept the selected completion
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ */
+function acceptCompletion(textarea) {
+  if (!isCompletionVisible(textarea)) return false;
+
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  const dropdown = document.querySelector(
+    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  );
+  const selected = dropdown.querySelector(".completion-item.selected");
+
+  if (!selected) return false;
+
+  const value = selected.querySelector(".completion-value").textContent;
+
+  // Get current word being replaced
+  const cursorPos = textarea.selectionStart;
+  const textBeforeCursor = textarea.value.slice(0, cursorPos);
+  const words = textBeforeCursor.split(/\s+/);
+  const currentWord = words[words.length - 1] || "";
+
+  insertCompletion(textarea, value, currentWord);
+  hideCompletions(textarea);
+
+  return true;
+}
+
+/**
+ * Insert completion into textarea
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ * @param {string} completion - The completion to insert
+ * @param {string} currentWord - The current word being replaced
+ */
+function insertCompletion(textarea, completion, currentWord) {
+  const cursorPos = textarea.selectionStart;
+  const value = textarea.value;
+
+  // Replace current word with completion
+  const startPos = cursorPos - currentWord.length;
+  const newValue =
+    value.slice(0, startPos) + completion + value.slice(cursorPos);
+
+  textarea.value = newValue;
+  textarea.selectionStart = textarea.selectionEnd =
+    startPos + completion.length;
+
+  // Trigger change event for sync
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  debouncedUpdateCell(cellIndex, newValue);
+
+  textarea.focus();
+}
+
+/**
+ * Position the completion dropdown
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ * @param {HTMLElement} dropdown - The dropdown element
+ */
+function positionDropdown(textarea, dropdown) {
+  const rect = textarea.getBoundingClientRect();
+  dropdown.style.top = `${rect.bottom}px`;
+  dropdown.style.left = `${rect.left}px`;
+  dropdown.style.width = `${Math.max(200, rect.width)}px`;
+}
+
+/**
+ * Toggle SQL comment (--) for selected lines or current line
+ * @param {HTMLTextAreaElement} textarea - The textarea element
+ */
+function toggleSQLComment(textarea) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+  const content = textarea.value;
+
+  // Get the full text and split into lines
+  const lines = content.split("\n");
+
+  // Find which lines are selected
+  let startLine = 0;
+  let endLine = 0;
+  let charCount = 0;
+
+  // Find start line
+  for (let i = 0; i < lines.length; i++) {
+    const lineLength = lines[i].length + 1; // +1 for newline
+    if (charCount + lineLength > start) {
+      startLine = i;
+      break;
+    }
+    charCount += lineLength;
+  }
+
+  // Find end line
+  charCount = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const lineLength = lines[i].length + 1; // +1 for newline
+    if (charCount + lineLength >= end) {
+      endLine = i;
+      break;
+    }
+    charCount += lineLength;
+  }
+
+  // If no selection, just use current line
+  if (start === end) {
+    endLine = startLine;
+  }
+
+  // Check if all selected lines are commented
+  let allCommented = true;
+  for (let i = startLine; i <= endLine; i++) {
+    const line = lines[i].trim();
+    if (line.length > 0 && !line.startsWith("--")) {
+      allCommented = false;
+      break;
+    }
+  }
+
+  // Toggle comments
+  for (let i = startLine; i <= endLine; i++) {
+    const line = lines[i];
+    if (line.trim().length === 0) continue; // Skip empty lines
+
+    if (allCommented) {
+      // Remove comment: remove first occurrence of '--' (and optional space after)
+      lines[i] = line.replace(/^(\s*)--\s?/, "$1");
+    } else {
+      // Add comment: add '--' at the beginning of non-whitespace content
+      const match = line.match(/^(\s*)(.*)/);
+      if (match) {
+        lines[i] = match[1] + "-- " + match[2];
+      }
+    }
+  }
+
+  // Update textarea content
+  const newContent = lines.join("\n");
+  textarea.value = newContent;
+
+  // Update the cell content and sync
+  const cellIndex = parseInt(textarea.dataset.cellIndex);
+  debouncedUpdateCell(cellIndex, newContent);
+
+  // Restore cursor position (approximately)
+  const lengthDiff = newContent.length - content.length;
+  textarea.selectionStart = Math.max(0, start);
+  textarea.selectionEnd = Math.max(0, end + lengthDiff);
+
+  // Focus back to textarea
+  textarea.focus();
+}
+
+/**
+ * Generate a unique cell id
+ * @returns {string} Cell id
+ */
+function createCellId() {
+  cellIdCounter++;
+  return `cell_${Date.now()}_${cellIdCounter}`;
+}
+
+/**
+ * Create a new cell object
+ * @param {string} content - Cell content (SQL or markdown)
+ * @param {Object} meta - Cell metadata overrides ({ name, tags, collapsed })
+ * @param {string} type - Cell type, "sql" or "markdown"
+ * @returns {Object} Cell data
+ */
+function createCell(content = "", meta = {}, type = "sql") {
+  return {
+    id: createCellId(),
+    type,
+    content,
+    meta: {
+      name: "",
+      tags: [],
+      collapsed: false,
+      dataSourceId: null,
+      extra: {},
+      ...meta,
+    },
+  };
+}
+
+/**
+ * Check whether a cell holds documentation instead of SQL
+ * @param {Object} cell - Cell data
+ * @returns {boolean} True for markdown cells
+ */
+function isMarkdownCell(cell) {
+  return cell.type === "markdown";
+}
+
+/**
+ * Wrap markdown text in a block comment so the query stays valid SQL
+ * Comment delimiters inside the text are escaped to keep the comment closed
+ * @param {string} markdown - Markdown text
+ * @returns {string} Block comment
+ */
+function formatMarkdownComment(markdown) {
+  const escaped = markdown.replace(/\/\*/g, "/\\*").replace(/\*\//g, "*\\/");
+  return `/* ${notebookState.config.markdownMarker}\n${escaped}\n*/`;
+}
+
+/**
+ * Detect a markdown block comment and extract its text
+ * @param {string} content - Statement content without metadata
+ * @returns {Object} { type, content }
+ */
+function parseCellType(content) {
+  const marker = notebookState.config.markdownMarker;
+  const match = content.match(/^\/\*\s*(\S+)[^\S\n]*\n?([\s\S]*?)\s*\*\/$/);
+
+  if (!match || match[1] !== marker) {
+    return { type: "sql", content };
+  }
+
+  const markdown = match[2].replace(/\/\\\*/g, "/*").replace(/\*\\\//g, "*/");
+  return { type: "markdown", content: markdown };
+}
+
+/**
+ * Parse the attributes of a cell magic comment
+ * e.g. `name="daily_orders" tags=kpi,daily collapsed`
+ * @param {string} text - Attribute text after the '@cell' marker
+ * @returns {Object} Map of attribute name to value (true for bare flags)
+ */
+function parseCellAttributes(text) {
+  const attributes = {};
+  const pattern = /([A-Za-z_][\w-]*)(?:=("(?:[^"\\]|\\.)*"|\S+))?/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    let value = match[2];
+    if (value === undefined) {
+      value = true;
+    } else if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+    }
+    attributes[match[1]] = value;
+  }
+
+  return attributes;
+}
+
+/**
+ * Format a single magic comment attribute
+ * @param {string} key - Attribute name
+ * @param {*} value - Attribute value (true for bare flags)
+ * @returns {string} Formatted attribute
+ */
+function formatCellAttribute(key, value) {
+  if (value === true) return key;
+  const text = String(value);
+  if (/^[^\s"=]+$/.test(text)) return `${key}=${text}`;
+  return `${key}="${text.replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Split a statement into its cell metadata and SQL content
+ * @param {string} statement - Statement text from the splitter
+ * @returns {Object} { meta, content }
+ */
+function parseCellMetadata(statement) {
+  const prefix = notebookState.config.cellMetadataPrefix;
+  const lines = statement.split("\n");
+  const match = lines[0].match(/^\s*--\s*(\S+)(.*)$/);
+
+  if (!match || match[1] !== prefix) {
+    return { meta: createCell().meta, content: statement };
+  }
+
+  const { name, tags, collapsed, datasource, ...extra } = parseCellAttributes(
+    match[2]
+  );
+  const dataSourceId = parseInt(datasource);
+  return {
+    meta: {
+      name: typeof name === "string" ? name : "",
+      tags:
+        typeof tags === "string"
+          ? tags.split(",").filter((tag) => tag.length > 0)
+          : [],
+      collapsed: collapsed === true || collapsed === "true",
+      dataSourceId: isNaN(dataSourceId) ? null : dataSourceId,
+      extra,
+    },
+    content: lines.slice(1).join("\n").trim(),
+  };
+}
+
+/**
+ * Build the magic comment line for a cell's metadata
+ * @param {Object} meta - Cell metadata
+ * @returns {string} Comment line, or an empty string if there's no metadata
+ */
+function formatCellMetadata(meta) {
+  if (!meta) return "";
+
+  const attributes = [];
+  if (meta.name) attributes.push(formatCellAttribute("name", meta.name));
+  if (meta.tags && meta.tags.length > 0) {
+    attributes.push(formatCellAttribute("tags", meta.tags.join(",")));
+  }
+  if (meta.collapsed) attributes.push("collapsed");
+  if (meta.dataSourceId) {
+    attributes.push(formatCellAttribute("datasource", meta.dataSourceId));
+  }
+  Object.entries(meta.extra || {}).forEach(([key, value]) => {
+    attributes.push(formatCellAttribute(key, value));
+  });
+
+  if (attributes.length === 0) return "";
+  const prefix = notebookState.config.cellMetadataPrefix;
+  return `-- ${prefix} ${attributes.join(" ")}`;
+}
+
+/**
+ * Serialize a cell (metadata comment + content) for the main editor
+ * @param {Object} cell - Cell data
+ * @param {string} content - Current cell content
+ * @returns {string} Statement text, empty if the cell has neither content
+ *   nor metadata
+ */
+function serializeCell(cell, content) {
+  const trimmed = content.trim();
+  const metadataLine = formatCellMetadata(cell.meta);
+  if (!trimmed && !metadataLine) return "";
+
+  // An empty cell keeps its metadata line, so its name, tags and data source
+  // survive switching modes
+  const body = isMarkdownCell(cell) ? formatMarkdownComment(trimmed) : trimmed;
+  return [metadataLine, body].filter(Boolean).join("\n");
+}
+
+/**
+ * Carry cell ids over from a previous parse so that results stay attached
+ * to the same cells when switching between text and notebook mode
+ * @param {Array} cells - Freshly parsed cells
+ * @param {Array} previousCells - Cells from the previous notebook session
+ * @returns {Array} The parsed cells with reused ids where possible
+ */
+function reuseCellIds(cells, previousCells) {
+  const available = previousCells.slice();
+
+  const takeMatch = (predicate) => {
+    const matchIndex = available.findIndex(predicate);
+    return matchIndex === -1 ? null : available.splice(matchIndex, 1)[0];
+  };
+
+  cells.forEach((cell) => {
+    const previous =
+      (cell.meta.name &&
+        takeMatch((candidate) => candidate.meta.name === cell.meta.name)) ||
+      takeMatch((candidate) => candidate.content === cell.content);
+    if (previous) {
+      cell.id = previous.id;
+    }
+  });
+
+  return cells;
+}
+
+/**
+ * Get the options cells are split and joined with: the configured separator
+ * and the dialect of the query's data source
+ * @returns {Object} SqlSplitter options
+ */
+function getSplitterOptions() {
+  return {
+    separator: notebookState.config.querySeparator,
+    dialect: notebookState.sqlDialect,
+  };
+}
+
+/**
+ * Serialize all cells for the main editor
+ * Comment-only cells are joined to the statement after them, so a cell
+ * following one that isn't markdown gets a metadata comment, empty if the
+ * cell has no metadata, to mark where it starts
+ * @param {Array<string>} contents - Current content of every cell
+ * @returns {Array<string>} Text of every cell, empty for skipped cells
+ */
+function serializeCells(contents) {
+  const options = getSplitterOptions();
+  const prefix = notebookState.config.cellMetadataPrefix;
+  let needsMarker = false;
+
+  return notebookState.cells.map((cell, index) => {
+    let text = serializeCell(cell, contents[index]);
+    if (!text) return text;
+
+    if (needsMarker && !formatCellMetadata(cell.meta)) {
+      text = `-- ${prefix}\n${text}`;
+    }
+    needsMarker =
+      !isMarkdownCell(cell) && window.SqlSplitter.isCommentOnly(text, options);
+    return text;
+  });
+}
+
+/**
+ * Split a statement into the cells it holds: comment-only cells before the
+ * statement's own cell end at the next metadata comment, and markdown cells
+ * at the end of their block comment
+ * @param {Object} statement - { text, start, end } from the splitter
+ * @returns {Array<Object>} { text, start, end } of every cell, offsets in the
+ *   same text as the statement's
+ */
+function splitStatementCells(statement) {
+  const { text } = statement;
+  const prefix = notebookState.config.cellMetadataPrefix;
+  const marker = notebookState.config.markdownMarker;
+  const starts = [0];
+  let afterMetadata = false;
+  let afterMarkdown = false;
+
+  const startCell = (offset) => {
+    if (offset > starts[starts.length - 1]) starts.push(offset);
+  };
+
+  const tokens = window.SqlSplitter.tokenize(text, getSplitterOptions());
+  for (const token of tokens) {
+    const tokenText = text.slice(token.start, token.end);
+    if (token.type === "code" && !tokenText.trim()) continue;
+
+    const lineStart = text.lastIndexOf("\n", token.start - 1) + 1;
+    const metadataMatch = tokenText.match(/^--\s*(\S+)/);
+    const markdownMatch = tokenText.match(/^\/\*\s*(\S+)/);
+    const isMetadata =
+      token.type === "line-comment" &&
+      !!metadataMatch &&
+      metadataMatch[1] === prefix &&
+      !text.slice(lineStart, token.start).trim();
+    const isMarkdown =
+      token.type === "block-comment" &&
+      !!markdownMatch &&
+      markdownMatch[1] === marker;
+
+    // Only the comments before the statement's code can be separate cells
+    if (afterMarkdown || isMetadata || (isMarkdown && !afterMetadata)) {
+      startCell(token.start);
+    }
+    if (token.type !== "line-comment" && token.type !== "block-comment") {
+      break;
+    }
+    afterMetadata = isMetadata;
+    afterMarkdown = isMarkdown;
+  }
+
+  return starts.map((start, i) => {
+    const raw = text.slice(start, starts[i + 1]);
+    const trimmed = raw.trimEnd();
+    return {
+      text: trimmed,
+      start: statement.start + start,
+      end: statement.start + start + trimmed.length,
+    };
+  });
+}
+
+/**
+ * Parse queries from text content
+ * @param {string} content - The text content to parse
+ * @returns {Array} Array of query objects
+ */
+function parseQueries(content) {
+  if (!content || !content.trim()) return [];
+
+  // Split on separators that are outside strings, comments and dollar quotes
+  const queries = window.SqlSplitter.splitStatements(
+    content,
+    getSplitterOptions()
+  )
+    .flatMap(splitStatementCells)
+    .map((block) => {
+      const { meta, content: body } = parseCellMetadata(block.text);
+      const { type, content: text } = parseCellType(body);
+      return { ...createCell(text, {}, type), meta };
+    });
+
+  return queries;
+}
+
+/**
+ * Toggle between notebook mode and text mode
+ */
+function toggleNotebookMode() {
+  if (!notebookState.isNotebookMode) {
+    switchToNotebookMode();
+  } else {
+    switchToTextMode();
+  }
+}
+
+/**
+ * Switch to notebook mode
+ */
+function switchToNotebookMode() {
+  customLogger.log("Re-Redash: Attempting to switch to notebook mode...");
+  customLogger.log("Re-Redash: CompletionHandler state before switch:", {
+    available: !!window.CompletionHandler,
+    loaded: window.CompletionHandler
+      ? window.CompletionHandler.isLoaded()
+      : false,
+    originalCompleters: window.CompletionHandler
+      ? !!window.CompletionHandler.getOriginalCompleters()
+      : false,
+  });
+
+  // Try to re-find editor if not available
+  if (!notebookState.aceEditor) {
+    customLogger.log("Re-Redash: Editor not found, attempting to re-detect...");
+    if (!findAceEditor()) {
+      alert(
+        "Cannot find the query editor. Please make sure you are on a query editing page and try refreshing."
+      );
+      return;
+    }
+  }
+
+  customLogger.log(
+    "Re-Redash: Main editor completers before switch:",
+    notebookState.aceEditor.completers
+      ? notebookState.aceEditor.completers.length
+      : "undefined"
+  );
+  customLogger.log(
+    "Re-Redash: Main editor completers details:",
+    notebookState.aceEditor.completers
+      ? notebookState.aceEditor.completers.map(
+          (c) => c.constructor.name || "Unknown"
+        )
+      : "undefined"
+  );
+
+  if (!notebookState.originalContainer) {
+    // Try to find a suitable container
+    const editor =
+      notebookState.aceEditor._textarea ||
+      document.querySelector(".ace_editor") ||
+      document.querySelector("textarea");
+
+    if (editor) {
+      notebookState.originalContainer =
+        editor.closest(
+          ".query-editor, .editor-container, .ace-editor-container"
+        ) || editor.parentElement;
+      customLogger.log("Re-Redash: Found container for editor");
+    } else {
+      alert(
+        "Cannot find the editor container. Please refresh the page and try again."
+      );
+      return;
+    }
+  }
+
+  // Cells are split with the dialect of the query's data source, so it's
+  // resolved before the text is parsed
+  loadDataSources().then(() => {
+    // The toggle may have been clicked again while the data sources loaded
+    if (notebookState.isNotebookMode) return;
+
+    try {
+      // Get current content from ace editor
+      const content = notebookState.aceEditor.getValue();
+      customLogger.log(
+        "Re-Redash: Retrieved content from editor:",
+        content.length,
+        "characters"
+      );
+
+      // Parse queries into cells, restoring their metadata and previous ids
+      notebookState.cells = reuseCellIds(
+        parseQueries(content),
+        notebookState.cells
+      );
+      loadNotebookParameters();
+
+      // The text may have changed in text mode, so old snapshots and split
+      // points don't apply
+      clearNotebookHistory();
+      notebookState.statementContinuations = {};
+      customLogger.log(
+        "Re-Redash: Parsed",
+        notebookState.cells.length,
+        "queries"
+      );
+
+      // Hide original editor
+      notebookState.originalContainer.style.display = "none";
+
+      // Show notebook container
+      notebookState.notebookContainer.style.display = "block";
+
+      // Insert notebook container after original container
+      if (!notebookState.notebookContainer.parentNode) {
+        notebookState.originalContainer.parentNode.insertBefore(
+          notebookState.notebookContainer,
+          notebookState.originalContainer.nextSibling
+        );
+      }
+
+      // Render cells
+      renderCells();
+
+      notebookState.isNotebookMode = true;
+
+      // Save preference to localStorage
+      saveNotebookModePreference(true);
+
+      // Update toggle button appearance
+      updateToggleButtonAppearance(true);
+
+      customLogger.log("Re-Redash: Successfully switched to notebook mode");
+      customLogger.log(
+        "Re-Redash: Notebook mode activated. Created",
+        notebookState.cells.length,
+        "cells"
+      );
+      customLogger.log(
+        "Re-Redash: Cell editors created:",
+        Object.keys(notebookState.cellEditors).length
+      );
+    } catch (error) {
+      customLogger.error("Re-Redash: Error switching to notebook mode:", error);
+      alert(
+        "An error occurred while switching to notebook mode. Check the console for details."
+      );
+    }
+  });
+}
+
+/**
+ * Switch to text mode
+ */
+function switchToTextMode() {
+  // Sync any pending changes to Ace editor before switching
+  syncCellsToAceEditor();
+
+  // Clean up all cell editors and elements, the text may change before the
+  // notebook is shown again
+  flushCellEditors();
+  destroyCellEditors();
+  notebookState.notebookContainer.querySelector(".notebook-cells").innerHTML =
+    "";
+  notebookState.renderedCells = {};
+
+  // Show original editor
+  notebookState.originalContainer.style.display = "block";
+
+  // Hide notebook container
+  notebookState.notebookContainer.style.display = "none";
+
+  notebookState.isNotebookMode = false;
+
+  // Save preference to localStorage
+  saveNotebookModePreference(false);
+
+  // Update toggle button appearance
+  updateToggleButtonAppearance(false);
+
+  customLogger.log("Re-Redash: Switched to text mode");
+}
+
+/**
+ * Copy the live content of every mounted cell editor back into its cell
+ * Run before snapshotting or rearranging cells so that they hold the
+ * latest text
+ */
+function flushCellEditors() {
+  clearTimeout(notebookState.debounceTimer);
+  notebookState.cells.forEach((cell, index) => {
+    cell.content = getCellContent(index);
+  });
+}
+
+/**
+ * Get the index of a cell
+ * @param {string} cellId - Cell id
+ * @returns {number} Cell index or -1 if the cell doesn't exist
+ */
+function getCellIndex(cellId) {
+  return notebookState.cells.findIndex((cell) => cell.id === cellId);
+}
+
+/**
+ * Get the mounted Ace editor of a cell
+ * @param {number} index - Cell index
+ * @returns {Object|null} Ace editor or null if the cell has none right now
+ */
+function getCellEditor(index) {
+  const cell = notebookState.cells[index];
+  return (cell && notebookState.cellEditors[cell.id]) || null;
+}
+
+/**
+ * Destroy all cell editor instances and forget saved editor sessions
+ */
+function destroyCellEditors() {
+  Object.keys(notebookState.cellEditors).forEach((cellId) => {
+    try {
+      notebookState.cellEditors[cellId].destroy();
+    } catch (error) {
+      customLogger.warn(
+        `Re-Redash: Failed to destroy cell editor ${cellId}:`,
+        error
+      );
+    }
+  });
+  notebookState.cellEditors = {};
+  notebookState.cellSessions = {};
+
+  if (notebookState.editorObserver) {
+    notebookState.editorObserver.disconnect();
+    notebookState.editorObserver = null;
+  }
+}
+
+/**
+ * Get the observer that creates editors for cells near the visible area
+ * and releases them for cells far away from it
+ * @returns {IntersectionObserver|null} Observer, or null if unsupported
+ */
+function getEditorObserver() {
+  if (!notebookState.editorObserver && window.IntersectionObserver) {
+    notebookState.editorObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          const cellDiv = entry.target.closest(".notebook-cell");
+          if (!cellDiv) return;
+
+          if (entry.isIntersecting) {
+            mountCellEditor(cellDiv.dataset.cellId);
+          } else {
+            unmountCellEditor(cellDiv.dataset.cellId);
+          }
+        });
+      },
+      {
+        root: notebookState.notebookContainer,
+        rootMargin: notebookState.config.editorMountMargin,
+      }
+    );
+  }
+  return notebookState.editorObserver;
+}
+
+/**
+ * Render the read-only text of a cell shown until its editor is mounted
+ * @param {Object} cell - Cell data
+ * @param {number} index - Cell index
+ * @returns {string} HTML string
+ */
+function renderStaticCellCode(cell, index) {
+  const code = escapeHtml(cell.content) || "&nbsp;";
+  return `<pre class="cell-static-code" data-cell-index="${index}">${code}</pre>`;
+}
+
+/**
+ * Watch a cell's editor area so that its editor is created once it's visible
+ * (immediately if IntersectionObserver isn't available)
+ * @param {HTMLElement} cellDiv - The cell element
+ */
+function observeCellEditor(cellDiv) {
+  const wrapper = cellDiv.querySelector(".cell-editor-wrapper");
+  if (!wrapper) return;
+
+  const observer = getEditorObserver();
+  if (observer) {
+    observer.observe(wrapper);
+  } else {
+    setTimeout(() => mountCellEditor(cellDiv.dataset.cellId), 0);
+  }
+}
+
+/**
+ * Create the editor of a cell if it doesn't have one yet
+ * @param {string} cellId - Cell id
+ */
+function mountCellEditor(cellId) {
+  const cell = notebookState.cells[getCellIndex(cellId)];
+  const cellDiv = document.querySelector(
+    `.notebook-cell[data-cell-id="${cellId}"]`
+  );
+  const wrapper = cellDiv && cellDiv.querySelector(".cell-editor-wrapper");
+  if (!cell || !wrapper || wrapper.dataset.mounted) return;
+
+  wrapper.dataset.mounted = "true";
+  createCellAceEditor(cellDiv, cell);
+}
+
+/**
+ * Release the editor of a cell that scrolled out of view, keeping its
+ * session so that cursor and undo history come back when it's mounted again
+ * @param {string} cellId - Cell id
+ */
+function unmountCellEditor(cellId) {
+  const editor = notebookState.cellEditors[cellId];
+  const index = getCellIndex(cellId);
+  if (!editor || index === -1 || editor.isFocused()) return;
+
+  const cell = notebookState.cells[index];
+  cell.content = editor.getValue();
+
+  // Swap in a throwaway session, destroying the editor destroys its session
+  notebookState.cellSessions[cellId] = editor.getSession();
+  editor.setSession(window.ace.createEditSession(""));
+  editor.destroy();
+  delete notebookState.cellEditors[cellId];
+
+  // Ace leaves its classes on the container, so start with a fresh one
+  const wrapper = editor.container;
+  const freshWrapper = document.createElement("div");
+  freshWrapper.className = "cell-editor-wrapper";
+  freshWrapper.dataset.cellIndex = index;
+  freshWrapper.innerHTML = renderStaticCellCode(cell, index);
+
+  if (notebookState.editorObserver) {
+    notebookState.editorObserver.unobserve(wrapper);
+    notebookState.editorObserver.observe(freshWrapper);
+  }
+  wrapper.replaceWith(freshWrapper);
+}
+
+/**
+ * Remove a cell element along with its editor
+ * @param {string} cellId - Cell id
+ * @param {HTMLElement} cellDiv - The cell element
+ */
+function unmountCell(cellId, cellDiv) {
+  const editor = notebookState.cellEditors[cellId];
+  if (editor) {
+    try {
+      editor.destroy();
+    } catch (error) {
+      customLogger.warn(
+        `Re-Redash: Failed to destroy cell editor ${cellId}:`,
+        error
+      );
+    }
+    delete notebookState.cellEditors[cellId];
+  }
+  delete notebookState.cellSessions[cellId];
+  delete notebookState.renderedCells[cellId];
+
+  const wrapper = cellDiv.querySelector(".cell-editor-wrapper");
+  if (wrapper && notebookState.editorObserver) {
+    notebookState.editorObserver.unobserve(wrapper);
+  }
+  cellDiv.remove();
+}
+
+/**
+ * Re-render a single cell in place
+ * @param {number} index - Cell index
+ */
+function rerenderCell(index) {
+  const cell = notebookState.cells[index];
+  const cellDiv = cell
+    ? document.querySelector(`.notebook-cell[data-cell-id="${cell.id}"]`)
+    : null;
+  if (!cellDiv) return;
+
+  cell.content = getCellContent(index);
+  const placeholder = document.createComment("cell");
+  cellDiv.replaceWith(placeholder);
+  unmountCell(cell.id, cellDiv);
+
+  const cellElement = createCellElement(cell, index);
+  placeholder.replaceWith(cellElement);
+  notebookState.renderedCells[cell.id] = cell;
+  observeCellEditor(cellElement);
+}
+
+/**
+ * Render all cells in the notebook
+ * Cell elements are keyed by cell id: only cells that were added, removed or
+ * replaced are (re)created, the others are moved into place and keep their
+ * editor
+ */
+function renderCells() {
+  const cellsContainer =
+    notebookState.notebookContainer.querySelector(".notebook-cells");
+
+  // Add empty cell if no cells exist
+  if (notebookState.cells.length === 0) {
+    addNewCell();
+    return;
+  }
+
+  const existingElements = {};
+  Array.from(cellsContainer.children).forEach((cellDiv) => {
+    existingElements[cellDiv.dataset.cellId] = cellDiv;
+  });
+
+  // Unmount cells that were removed or replaced by a different cell object
+  Object.keys(existingElements).forEach((cellId) => {
+    const cell = notebookState.cells[getCellIndex(cellId)];
+    if (!cell || notebookState.renderedCells[cellId] !== cell) {
+      unmountCell(cellId, existingElements[cellId]);
+      delete existingElements[cellId];
+    }
+  });
+
+  // Mount new cells and put every element at its position
+  let previousElement = null;
+  notebookState.cells.forEach((cell, index) => {
+    let cellElement = existingElements[cell.id];
+    const isNew = !cellElement;
+    if (isNew) {
+      cellElement = createCellElement(cell, index);
+      notebookState.renderedCells[cell.id] = cell;
+    }
+
+    const expectedElement = previousElement
+      ? previousElement.nextSibling
+      : cellsContainer.firstChild;
+    if (cellElement !== expectedElement) {
+      cellsContainer.insertBefore(cellElement, expectedElement);
+    }
+    if (isNew) {
+      observeCellEditor(cellElement);
+    }
+    previousElement = cellElement;
+  });
+
+  renumberCells();
+  updateCellSelection();
+  updateTagFilter();
+  updateParameterBar();
+  updateCompiledSql();
+  renderOutline();
+  renderGraph();
+
+  // Cells may have been added, removed or restored since the last search
+  if (isFindPanelOpen()) {
+    refreshFindMatches();
+  }
+}
+
+/**
+ * Update the index attributes and numbers of cell elements after cells moved
+ */
+function renumberCells() {
+  const cellsContainer =
+    notebookState.notebookContainer.querySelector(".notebook-cells");
+
+  Array.from(cellsContainer.children).forEach((cellDiv, index) => {
+    cellDiv.querySelectorAll("[data-cell-index]").forEach((element) => {
+      element.dataset.cellIndex = index;
+    });
+    const cellNumber = cellDiv.querySelector(".cell-number");
+    if (cellNumber) {
+      cellNumber.textContent = index + 1;
+    }
+  });
+}
+
+/**
+ * Create a cell element
+ * @param {Object} cell - Cell data
+ * @param {number} index - Cell index
+ * @returns {HTMLElement} Cell element
+ */
+function createCellElement(cell, index) {
+  const cellDiv = document.createElement("div");
+  cellDiv.className = `${notebookState.config.cellClass}`;
+  cellDiv.classList.toggle("cell-collapsed", cell.meta.collapsed);
+  cellDiv.classList.toggle("cell-markdown", isMarkdownCell(cell));
+  cellDiv.classList.toggle(
+    "cell-selected",
+    notebookState.selectedCellIds.has(cell.id)
+  );
+  cellDiv.dataset.cellId = cell.id;
+
+  const collapseIcon = cell.meta.collapsed
+    ? "zmdi-chevron-right"
+    : "zmdi-chevron-down";
+  const name = escapeHtml(cell.meta.name);
+  const tags = escapeHtml(cell.meta.tags.join(", "));
+  const summary = escapeHtml(getCellSummary(cell));
+  const cellNumber = index + 1;
+  const showMarkdownPreview =
+    isMarkdownCell(cell) && !notebookState.editingMarkdownCells.has(cell.id);
+  const bodyHtml = showMarkdownPreview
+    ? renderMarkdown(cell.content)
+    : renderStaticCellCode(cell, index);
+  const cellBody = showMarkdownPreview
+    ? `<div class="cell-markdown-preview" data-cell-index="${index}" title="Double-click to edit">${bodyHtml}</div>`
+    : `<div class="cell-editor-wrapper" data-cell-index="${index}">${bodyHtml}</div>`;
+
+  cellDiv.innerHTML = `
+    <div class="cell-header">
+      <span class="cell-drag-handle" draggable="true" title="Drag to reorder (Alt + Shift + Up/Down)">
+        <i class="zmdi zmdi-more-vert"></i>
+      </span>
+      <button class="cell-collapse-btn" data-cell-index="${index}" title="Collapse/expand cell">
+        <i class="zmdi ${collapseIcon}"></i>
+      </button>
+      <input class="cell-name-input" data-cell-index="${index}" value="${name}" placeholder="Untitled cell" spellcheck="false" />
+      <input class="cell-tags-input" data-cell-index="${index}" value="${tags}" placeholder="Add tags" spellcheck="false" />
+      <select class="cell-data-source-select" data-cell-index="${index}" title="Data source this cell runs against">
+        ${renderDataSourceOptions(cell)}
+      </select>
+      <span class="cell-status-bar"></span>
+      <span class="cell-find-count"></span>
+    </div>
+    <div class="cell-input-container">
+      <div class="cell-number" data-cell-index="${index}" title="Click to select this cell, Shift+Click to select a range">${cellNumber}</div>
+      ${cellBody}
+      <div class="cell-collapsed-summary">${summary}</div>
+      <div class="cell-actions">
+        <button class="cell-execute-btn" data-cell-index="${index}" title="Execute Cell (Shift+Enter)">
+          <span class="zmdi zmdi-play"></span>
+        </button>
+        <button class="cell-run-above-btn" data-cell-index="${index}" title="Run All Above">
+          <i class="zmdi zmdi-format-valign-top"></i>
+        </button>
+        <button class="cell-run-below-btn" data-cell-index="${index}" title="Run This and Below">
+          <i class="zmdi zmdi-format-valign-bottom"></i>
+        </button>
+        <button class="cell-run-selected-btn" data-cell-index="${index}" title="Run Selected Cells">
+          <i class="zmdi zmdi-check-all"></i>
+        </button>
+        <button class="cell-compiled-btn" data-cell-index="${index}" title="Show Compiled SQL">
+          <i class="zmdi zmdi-code"></i>
+        </button>
+        <button class="cell-add-btn" data-cell-index="${index}" title="Add New Cell">
+          <i class="zmdi zmdi-plus"></i>
+        </button>
+        <button class="cell-add-markdown-btn" data-cell-index="${index}" title="Add Markdown Cell">
+          <i class="zmdi zmdi-format-size"></i>
+        </button>
+        <button class="cell-copy-btn" data-cell-index="${index}" title="Copy Cell">
+          <i class="zmdi zmdi-copy"></i>
+        </button>
+        <button class="cell-delete-btn" data-cell-index="${index}" title="Delete Cell">
+          <i class="zmdi zmdi-delete"></i>
+        </button>
+      </div>
+    </div>
+    <div class="cell-compiled-container"></div>
+    <div class="cell-output-container"></div>
+  `;
+
+  // Restore the latest result of this cell, if any
+  renderCellOutput(cellDiv, cell);
+  renderCompiledSql(cellDiv, cell);
+  renderCellFindCount(cellDiv, cell);
+
+  // Add tooltips to cell action buttons after DOM insertion
+  setTimeout(() => {
+    const executeBtn = cellDiv.querySelector(".cell-execute-btn");
+    const runAboveBtn = cellDiv.querySelector(".cell-run-above-btn");
+    const runBelowBtn = cellDiv.querySelector(".cell-run-below-btn");
+    const runSelectedBtn = cellDiv.querySelector(".cell-run-selected-btn");
+    const addBtn = cellDiv.querySelector(".cell-add-btn");
+    const addMarkdownBtn = cellDiv.querySelector(".cell-add-markdown-btn");
+    const copyBtn = cellDiv.querySelector(".cell-copy-btn");
+    const deleteBtn = cellDiv.querySelector(".cell-delete-btn");
+
+    if (executeBtn) {
+      addTooltip(executeBtn, "Execute this cell (Shift+Enter)", "top");
+    }
+    if (runAboveBtn) {
+      addTooltip(runAboveBtn, "Run all cells above (Cmd + Alt + Enter)", "top");
+    }
+    if (runBelowBtn) {
+      addTooltip(
+        runBelowBtn,
+        "Run this cell and all below (Cmd + Shift + Enter)",
+        "top"
+      );
+    }
+    if (runSelectedBtn) {
+      addTooltip(
+        runSelectedBtn,
+        "Run selected cells, or this one if none are selected (Alt + Shift + Enter)",
+        "top"
+      );
+    }
+    if (addBtn) {
+      addTooltip(addBtn, "Add a new cell (Cmd + Shift + A)", "top");
+    }
+    if (addMarkdownBtn) {
+      addTooltip(
+        addMarkdownBtn,
+        "Add a markdown cell (Cmd + Shift + M)",
+        "top"
+      );
+    }
+    if (copyBtn) {
+      addTooltip(copyBtn, "Duplicate cell (Cmd + Shift + D)", "top");
+    }
+    if (deleteBtn) {
+      addTooltip(
+        deleteBtn,
+        "Delete this cell (Cmd + Shift + Backspace)",
+        "top"
+      );
+    }
+  }, 0);
+
+  // The Ace Editor instance is created by observeCellEditor once the cell
+  // is inserted and scrolled into view
+  return cellDiv;
+}
+
+/**
+ * Create fallback textarea if Ace Editor fails
+ * @param {HTMLElement} wrapper - The wrapper element
+ * @param {Object} cell - Cell data
+ * @param {number} index - Cell index
+ */
+function createFallbackTextarea(wrapper, cell, index) {
+  wrapper.innerHTML = `
+    <textarea
+      class="cell-input fallback-textarea"
+      data-cell-index="${index}"
+      placeholder="Enter your SQL query here... (Cmd+/ to toggle comments)"
+      rows="1"
+    >${cell.content}</textarea>
+  `;
+}
+
+/**
+ * Get a one-line summary of a cell, used while it is collapsed
+ * @param {Object} cell - Cell data
+ * @returns {string} First non-empty line of the cell
+ */
+function getCellSummary(cell) {
+  const firstLine = cell.content
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line.length > 0);
+  return firstLine || "Empty cell";
+}
+
+/**
+ * Update the metadata of a cell and sync it to the main editor
+ * @param {number} index - Cell index
+ * @param {Object} changes - Metadata fields to update
+ */
+function updateCellMeta(index, changes) {
+  if (index < 0 || index >= notebookState.cells.length) return;
+
+  const cell = notebookState.cells[index];
+  cell.meta = { ...cell.meta, ...changes };
+
+  // Metadata lives in the query text, so sync like a content edit
+  debouncedUpdateCell(index, getCellContent(index));
+  if (changes.tags) {
+    updateTagFilter();
+  }
+  renderOutline();
+}
+
+/**
+ * Collapse a cell to a one-line summary, or expand it again
+ * @param {number} index - Cell index
+ */
+function toggleCellCollapsed(index) {
+  if (index < 0 || index >= notebookState.cells.length) return;
+
+  const cell = notebookState.cells[index];
+  cell.content = getCellContent(index);
+  cell.meta.collapsed = !cell.meta.collapsed;
+
+  const cellDiv = document.querySelector(
+    `.notebook-cell[data-cell-id="${cell.id}"]`
+  );
+  if (cellDiv) {
+    cellDiv.classList.toggle("cell-collapsed", cell.meta.collapsed);
+    cellDiv.querySelector(".cell-collapse-btn i").className = `zmdi ${
+      cell.meta.collapsed ? "zmdi-chevron-right" : "zmdi-chevron-down"
+    }`;
+    cellDiv.querySelector(".cell-collapsed-summary").textContent =
+      getCellSummary(cell);
+  }
+
+  // Ace needs a resize after its container was hidden
+  const cellEditor = getCellEditor(index);
+  if (!cell.meta.collapsed && cellEditor) {
+    cellEditor.resize();
+  }
+
+  syncCellsToAceEditor();
+  renderOutline();
+}
+
+/**
+ * Render markdown text to HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+  if (!markdown.trim()) {
+    return `<span class="cell-markdown-placeholder">Empty markdown cell, double-click to edit</span>`;
+  }
+  if (!window.MarkdownRenderer) {
+    return `<pre>${escapeHtml(markdown)}</pre>`;
+  }
+  return window.MarkdownRenderer.render(markdown);
+}
+
+/**
+ * Show the source editor of a markdown cell
+ * @param {number} index - Cell index
+ */
+function startMarkdownEditing(index) {
+  const cell = notebookState.cells[index];
+  if (!cell || !isMarkdownCell(cell)) return;
+
+  notebookState.editingMarkdownCells.add(cell.id);
+  rerenderCell(index);
+  setTimeout(() => focusCell(index), 50);
+}
+
+/**
+ * Leave edit mode of a markdown cell and show its rendered text
+ * @param {number} index - Cell index
+ */
+function stopMarkdownEditing(index) {
+  const cell = notebookState.cells[index];
+  if (!cell || !isMarkdownCell(cell)) return;
+
+  notebookState.editingMarkdownCells.delete(cell.id);
+  rerenderCell(index);
+  syncCellsToAceEditor();
+}
+
+/**
+ * Add a new cell
+ * @param {number} position - Position to insert the cell (optional)
+ * @param {string} type - Cell type, "sql" or "markdown"
+ */
+function addNewCell(position = null, type = "sql") {
+  // The placeholder cell of an empty notebook isn't worth undoing
+  if (notebookState.cells.length > 0) {
+    recordNotebookHistory("Add cell");
+  }
+  flushCellEditors();
+  const newCell = createCell("", {}, type);
+
+  // New markdown cells start in edit mode
+  if (isMarkdownCell(newCell)) {
+    notebookState.editingMarkdownCells.add(newCell.id);
+  }
+
+  if (
+    position !== null &&
+    position >= 0 &&
+    position < notebookState.cells.length
+  ) {
+    notebookState.cells.splice(position, 0, newCell);
+  } else {
+    notebookState.cells.push(newCell);
+  }
+
+  renderCells();
+
+  // Sync to Ace editor after adding cell
+  syncCellsToAceEditor();
+
+  // Focus on the new cell
+  setTimeout(() => {
+    focusCell(notebookState.cells.indexOf(newCell));
+  }, 100);
+}
+
+/**
+ * Copy a cell and create a duplicate
+ * @param {number} index - Index of the cell to copy
+ */
+function copyCell(index) {
+  if (index < 0 || index >= notebookState.cells.length) {
+    customLogger.warn("Re-Redash: Invalid cell index for copy:", index);
+    return;
+  }
+
+  // Get the current content of the cell (in case user has made changes)
+  recordNotebookHistory("Duplicate cell");
+  const sourceCell = notebookState.cells[index];
+  const cellContent = sourceCell.content;
+
+  // Create a new cell with the copied content (names must stay unique)
+  const sourceMeta = sourceCell.meta;
+  const copiedCell = createCell(
+    cellContent,
+    {
+      name: sourceMeta.name ? `${sourceMeta.name}_copy` : "",
+      tags: sourceMeta.tags.slice(),
+      dataSourceId: sourceMeta.dataSourceId,
+      extra: { ...sourceMeta.extra },
+    },
+    sourceCell.type
+  );
+
+  // Insert the copied cell right after the original cell
+  const insertPosition = index + 1;
+  notebookState.cells.splice(insertPosition, 0, copiedCell);
+
+  // Re-render cells
+  renderCells();
+
+  // Sync to Ace editor after copying cell
+  syncCellsToAceEditor();
+
+  // Focus on the new copied cell
+  setTimeout(() => {
+    focusCell(insertPosition);
+  }, 200);
+
+  customLogger.log(
+    `Re-Redash: Copied cell ${index} with content: "${cellContent}"`
+  );
+}
+
+/**
+ * Move a cell to another position
+ * @param {number} fromIndex - Current index of the cell
+ * @param {number} toIndex - Index the cell should end up at
+ */
+function moveCell(fromIndex, toIndex) {
+  const cells = notebookState.cells;
+  if (
+    fromIndex < 0 ||
+    fromIndex >= cells.length ||
+    toIndex < 0 ||
+    toIndex >= cells.length ||
+    fromIndex === toIndex
+  ) {
+    return;
+  }
+
+  recordNotebookHistory("Move cell");
+  const [movedCell] = cells.splice(fromIndex, 1);
+  cells.splice(toIndex, 0, movedCell);
+
+  renderCells();
+
+  // Sync to Ace editor so the saved query keeps the new order
+  syncCellsToAceEditor();
+
+  setTimeout(() => {
+    focusCell(toIndex);
+    scrollToCell(toIndex);
+  }, 100);
+
+  customLogger.log(`Re-Redash: Moved cell ${fromIndex} to ${toIndex}`);
+}
+
+/**
+ * Remove a query separator at the start or end of a piece of SQL, so that
+ * joining cells with separators doesn't produce empty statements
+ * @param {string} sql - SQL text
+ * @param {string} side - "start" or "end"
+ * @returns {string} Trimmed SQL without the separator on that side
+ */
+function stripEdgeSeparator(sql, side) {
+  const text = side === "end" ? sql.trimEnd() : sql.trimStart();
+  const tokens = window.SqlSplitter.tokenize(text, getSplitterOptions());
+  const edgeToken = side === "end" ? tokens[tokens.length - 1] : tokens[0];
+  if (!edgeToken || edgeToken.type !== "separator") return text;
+
+  return side === "end"
+    ? text.slice(0, edgeToken.start).trimEnd()
+    : text.slice(edgeToken.end).trimStart();
+}
+
+/**
+ * Split a cell in two at a text offset
+ * The first part stays in the cell, the second part becomes a new cell below
+ * @param {number} index - Cell index
+ * @param {number} offset - Offset in the cell's content to split at
+ */
+function splitCell(index, offset) {
+  const cell = notebookState.cells[index];
+  if (!cell) return;
+
+  const content = getCellContent(index);
+  const rawBefore = content.slice(0, offset).trimEnd();
+  const rawAfter = content.slice(offset).trimStart();
+  let before = rawBefore;
+  let after = rawAfter;
+  if (!isMarkdownCell(cell)) {
+    before = stripEdgeSeparator(rawBefore, "end");
+    after = stripEdgeSeparator(rawAfter, "start");
+  }
+
+  recordNotebookHistory("Split cell", [cell.id]);
+
+  // The first part is a new object so that its element is re-rendered
+  const firstCell = { ...cloneCell(cell), content: before };
+  const secondCell = createCell(
+    after,
+    {
+      tags: cell.meta.tags.slice(),
+      dataSourceId: cell.meta.dataSourceId,
+      extra: { ...cell.meta.extra },
+    },
+    cell.type
+  );
+  notebookState.cells.splice(index, 1, firstCell, secondCell);
+
+  // Without a separator at the split point, the cells are parts of one
+  // statement that can be merged again without one
+  if (!isMarkdownCell(cell) && before === rawBefore && after === rawAfter) {
+    notebookState.statementContinuations[secondCell.id] = firstCell.id;
+  }
+  if (isMarkdownCell(cell) && notebookState.editingMarkdownCells.has(cell.id)) {
+    notebookState.editingMarkdownCells.add(secondCell.id);
+  }
+
+  renderCells();
+  syncCellsToAceEditor();
+
+  setTimeout(() => {
+    focusCell(index + 1);
+  }, 100);
+
+  customLogger.log(`Re-Redash: Split cell ${index} at offset ${offset}`);
+}
+
+/**
+ * Join the SQL of cells being merged the way it stands in the query text:
+ * with a separator between separate statements, and without one where a
+ * cell was split off in the middle of a statement or only holds comments
+ * @param {Array<Object>} parts - { cell, content } of the non-empty cells
+ * @returns {string} Merged SQL
+ */
+function joinMergedSql(parts) {
+  const options = getSplitterOptions();
+  return parts.reduce((sql, part, i) => {
+    if (i === 0) return part.content;
+    const previous = parts[i - 1];
+    const continues =
+      notebookState.statementContinuations[part.cell.id] === previous.cell.id;
+    const needsSeparator =
+      !continues &&
+      !window.SqlSplitter.isCommentOnly(previous.content, options) &&
+      !window.SqlSplitter.isCommentOnly(part.content, options);
+    if (!needsSeparator) return `${sql}\n${part.content}`;
+    const lineBreak = window.SqlSplitter.endsInLineComment(sql, options)
+      ? "\n"
+      : "";
+    return `${sql}${lineBreak}${options.separator}\n${part.content}`;
+  }, "");
+}
+
+/**
+ * Merge a cell with the cell below it
+ * @param {number} index - Index of the upper cell
+ */
+function mergeCellWithNext(index) {
+  mergeCells([index, index + 1]);
+}
+
+/**
+ * Merge cells into the first of them, in notebook order
+ * SQL cells can only be merged when at most one of them starts a statement,
+ * so the merged cell holds a single statement
+ * The merged cell keeps the first cell's id and the first name found, and
+ * gets the tags of all merged cells
+ * @param {Array<number>} indexes - Indexes of the cells to merge
+ */
+function mergeCells(indexes) {
+  const sortedIndexes = indexes.slice().sort((a, b) => a - b);
+  const cells = sortedIndexes.map((index) => notebookState.cells[index]);
+  if (cells.length < 2 || cells.some((cell) => !cell)) return;
+
+  const [first] = cells;
+  if (cells.some((cell) => cell.type !== first.type)) {
+    alert("Markdown cells can only be merged with markdown cells.");
+    return;
+  }
+
+  const parts = sortedIndexes
+    .map((index) => ({
+      cell: notebookState.cells[index],
+      content: getCellContent(index).trim(),
+    }))
+    .filter(({ content }) => content.length > 0);
+  const content = isMarkdownCell(first)
+    ? parts.map((part) => part.content).join("\n\n")
+    : joinMergedSql(parts);
+
+  // A cell holds a single statement, and joining complete statements without
+  // their separator would make invalid SQL
+  if (
+    !isMarkdownCell(first) &&
+    window.SqlSplitter.splitStatements(content, getSplitterOptions()).length > 1
+  ) {
+    alert(
+      "These cells hold separate statements. Only cells split off in the middle of a statement can be merged again."
+    );
+    return;
+  }
+
+  const firstContentLength = getCellContent(sortedIndexes[0]).trimEnd().length;
+
+  recordNotebookHistory("Merge cells", [first.id]);
+
+  const mergedCell = cloneCell(first);
+  mergedCell.content = content;
+  const namedCell = cells.find((cell) => cell.meta.name);
+  mergedCell.meta.name = namedCell ? namedCell.meta.name : "";
+  mergedCell.meta.tags = Array.from(
+    new Set([].concat(...cells.map((cell) => cell.meta.tags)))
+  );
+
+  const mergedIds = new Set(cells.slice(1).map((cell) => cell.id));
+  notebookState.cells = notebookState.cells
+    .filter((cell) => !mergedIds.has(cell.id))
+    .map((cell) => (cell === first ? mergedCell : cell));
+  mergedIds.forEach((cellId) => {
+    notebookState.editingMarkdownCells.delete(cellId);
+    notebookState.selectedCellIds.delete(cellId);
+    delete notebookState.statementContinuations[cellId];
+  });
+
+  renderCells();
+  syncCellsToAceEditor();
+
+  // Put the cursor where the first cell ended
+  const index = sortedIndexes[0];
+  setTimeout(() => {
+    focusCell(index);
+    const cellEditor = getCellEditor(index);
+    if (cellEditor) {
+      const position = cellEditor
+        .getSession()
+        .getDocument()
+        .indexToPosition(firstContentLength);
+      cellEditor.moveCursorToPosition(position);
+      cellEditor.clearSelection();
+    }
+  }, 100);
+
+  customLogger.log(
+    `Re-Redash: Merged ${cells.length} cells into cell ${index}`
+  );
+}
+
+/**
+ * Show or hide the outline sidebar and remember the choice
+ */
+function toggleOutline() {
+  const showOutline = !notebookState.config.showOutline;
+  notebookState.config.showOutline = showOutline;
+  notebookState.notebookContainer.classList.toggle(
+    "outline-visible",
+    showOutline
+  );
+  saveOutlinePreference(showOutline);
+  renderOutline();
+}
+
+/**
+ * Title of a cell in the outline: its name, a markdown cell's first line
+ * without heading marks, or the first line of its SQL
+ * @param {Object} cell - Cell data
+ * @returns {string} Title
+ */
+function getCellOutlineTitle(cell) {
+  if (cell.meta.name) return cell.meta.name;
+
+  const summary = getCellSummary(cell);
+  return isMarkdownCell(cell) ? summary.replace(/^#+\s*/, "") : summary;
+}
+
+/**
+ * Render the outline sidebar listing every cell
+ */
+function renderOutline() {
+  if (!notebookState.notebookContainer || !notebookState.config.showOutline) {
+    return;
+  }
+  const outline =
+    notebookState.notebookContainer.querySelector(".notebook-outline");
+
+  const tagFilter = notebookState.tagFilter;
+  const items = notebookState.cells.map((cell, index) => {
+    const status = isMarkdownCell(cell) ? "markdown" : getCellStatus(cell);
+    const title = escapeHtml(getCellOutlineTitle(cell));
+    const tags = cell.meta.tags
+      .map(
+        (tag) => `<span class="notebook-outline-tag">${escapeHtml(tag)}</span>`
+      )
+      .join("");
+    const foldIcon = cell.meta.collapsed
+      ? "zmdi-chevron-right"
+      : "zmdi-chevron-down";
+    const statusLabel = CELL_STATUS_LABELS[status] || "Markdown";
+    const cellId = cell.id;
+    const filteredOut =
+      tagFilter && !cell.meta.tags.includes(tagFilter) ? "filtered-out" : "";
+
+    return `
+      <div class="notebook-outline-item outline-${status} ${filteredOut}" data-cell-id="${cellId}" title="${title}">
+        <button class="notebook-outline-fold-btn" data-cell-id="${cellId}" title="Collapse/expand cell">
+          <i class="zmdi ${foldIcon}"></i>
+        </button>
+        <span class="notebook-outline-status" title="${statusLabel}"></span>
+        <span class="notebook-outline-number">${index + 1}</span>
+        <span class="notebook-outline-title">${title}</span>
+        ${tags}
+      </div>
+    `;
+  });
+
+  outline.innerHTML = items.join("");
+  updateOutlineActiveItem();
+}
+
+/**
+ * Update the status dot of a cell's outline entry
+ * @param {Object} cell - Cell data
+ * @param {string} status - Cell status
+ */
+function updateOutlineItemStatus(cell, status) {
+  if (!notebookState.notebookContainer || isMarkdownCell(cell)) return;
+
+  const item = notebookState.notebookContainer.querySelector(
+    `.notebook-outline-item[data-cell-id="${cell.id}"]`
+  );
+  if (!item) return;
+
+  item.classList.remove(
+    ...Object.keys(CELL_STATUS_LABELS).map((name) => `outline-${name}`)
+  );
+  item.classList.add(`outline-${status}`);
+  item.querySelector(".notebook-outline-status").title =
+    CELL_STATUS_LABELS[status];
+}
+
+/**
+ * Highlight the outline entry of the last focused cell
+ */
+function updateOutlineActiveItem() {
+  if (!notebookState.notebookContainer) return;
+
+  const activeCell = notebookState.cells[notebookState.lastFocusedCellIndex];
+  notebookState.notebookContainer
+    .querySelectorAll(".notebook-outline-item")
+    .forEach((item) => {
+      item.classList.toggle(
+        "active",
+        !!activeCell && item.dataset.cellId === activeCell.id
+      );
+    });
+}
+
+/**
+ * Scroll to and focus a cell picked in the outline or the graph panel
+ * @param {string} cellId - Cell id
+ */
+function goToCell(cellId) {
+  const index = getCellIndex(cellId);
+  if (index === -1) return;
+
+  scrollToCell(index);
+  focusCell(index);
+  updateCellFocusState(index);
+}
+
+/**
+ * Load the parameter values of the current query, and take the types and
+ * defaults of parameters without saved values from the saved Redash query
+ */
+function loadNotebookParameters() {
+  const saved = loadParameterValues() || {};
+  notebookState.parameters = { ...saved };
+  notebookState.parameterBarKey = null;
+
+  const queryId = window.RedashApi && window.RedashApi.getQueryIdFromUrl();
+  if (!queryId) return;
+
+  window.RedashApi.getQuery(queryId)
+    .then((query) => {
+      const definitions = (query.options && query.options.parameters) || [];
+      definitions.forEach((definition) => {
+        if (!saved[definition.name]) {
+          notebookState.parameters[definition.name] =
+            window.NotebookParams.fromRedashDefinition(definition);
+        }
+      });
+      notebookState.parameterBarKey = null;
+      updateParameterBar();
+    })
+    .catch((error) => {
+      customLogger.warn("Re-Redash: Failed to load query parameters:", error);
+    });
+}
+
+/**
+ * Show the parameters used by the SQL cells in the parameter bar
+ * The bar is only re-rendered when the parameters change, so typing in a
+ * cell doesn't reset the inputs
+ */
+function updateParameterBar() {
+  if (!notebookState.notebookContainer) return;
+
+  const texts = notebookState.cells
+    .filter((cell) => !isMarkdownCell(cell))
+    .map((cell) => cell.content);
+  const used = window.NotebookParams.findParameters(
+    texts,
+    getSplitterOptions()
+  );
+
+  used.forEach(({ name, type }) => {
+    if (!notebookState.parameters[name]) {
+      notebookState.parameters[name] =
+        window.NotebookParams.createParameter(type);
+    }
+  });
+
+  const key = used
+    .map(({ name }) => `${name}:${notebookState.parameters[name].type}`)
+    .join(",");
+  if (key === notebookState.parameterBarKey) return;
+  notebookState.parameterBarKey = key;
+
+  const bar = notebookState.notebookContainer.querySelector(
+    ".notebook-params-bar"
+  );
+  bar.classList.toggle("visible", used.length > 0);
+  bar.innerHTML = used
+    .map(({ name }) => renderParameter(name, notebookState.parameters[name]))
+    .join("");
+}
+
+/**
+ * Render a parameter of the parameter bar
+ * @param {string} name - Parameter name
+ * @param {Object} parameter - Parameter ({ type, value, enumOptions })
+ * @returns {string} HTML
+ */
+function renderParameter(name, parameter) {
+  const typeOptions = Object.entries(window.NotebookParams.PARAMETER_TYPES)
+    .map(([type, label]) => {
+      const selected = type === parameter.type ? "selected" : "";
+      return `<option value="${type}" ${selected}>${label}</option>`;
+    })
+    .join("");
+  const paramName = escapeHtml(name);
+
+  return `
+    <div class="notebook-param" data-param-name="${paramName}">
+      <span class="notebook-param-name">${paramName}</span>
+      <select class="notebook-param-type" title="Parameter type">${typeOptions}</select>
+      ${renderParameterInputs(parameter)}
+    </div>
+  `;
+}
+
+/**
+ * Render the value inputs of a parameter for its type
+ * @param {Object} parameter - Parameter ({ type, value, enumOptions })
+ * @returns {string} HTML
+ */
+function renderParameterInputs(parameter) {
+  const value = parameter.value;
+
+  if (parameter.type === "date-range") {
+    const start = escapeHtml((value && value.start) || "");
+    const end = escapeHtml((value && value.end) || "");
+    return `
+      <input type="date" class="notebook-param-input" data-field="start" value="${start}" title="Start" />
+      <span class="notebook-param-range-separator">–</span>
+      <input type="date" class="notebook-param-input" data-field="end" value="${end}" title="End" />
+    `;
+  }
+
+  if (parameter.type === "enum") {
+    const options = escapeHtml(parameter.enumOptions.join(", "));
+    return `
+      <select class="notebook-param-input" data-field="value">
+        ${renderParameterEnumOptions(parameter)}
+      </select>
+      <input class="notebook-param-options" value="${options}" placeholder="Options, comma separated" spellcheck="false" />
+    `;
+  }
+
+  const inputType = parameter.type === "text" ? "text" : parameter.type;
+  const text = escapeHtml(typeof value === "object" ? "" : value);
+  return `<input type="${inputType}" class="notebook-param-input" data-field="value" value="${text}" spellcheck="false" />`;
+}
+
+/**
+ * Render the options of a dropdown parameter
+ * @param {Object} parameter - Parameter ({ value, enumOptions })
+ * @returns {string} HTML
+ */
+function renderParameterEnumOptions(parameter) {
+  return [`<option value="">Choose...</option>`]
+    .concat(
+      parameter.enumOptions.map((option) => {
+        const selected = option === parameter.value ? "selected" : "";
+        const text = escapeHtml(option);
+        return `<option value="${text}" ${selected}>${text}</option>`;
+      })
+    )
+    .join("");
+}
+
+/**
+ * Change the value of a parameter from the parameter bar
+ * @param {string} name - Parameter name
+ * @param {string} field - "value", or "start"/"end" of a date range
+ * @param {string} value - New value
+ */
+function setParameterValue(name, field, value) {
+  const parameter = notebookState.parameters[name];
+  if (!parameter) return;
+
+  if (field === "value") {
+    parameter.value = value;
+  } else {
+    parameter.value = { ...parameter.value, [field]: value };
+  }
+  saveParameterValues(notebookState.parameters);
+  updateCompiledSql();
+}
+
+/**
+ * Change the type of a parameter, keeping its value when it still fits
+ * @param {string} name - Parameter name
+ * @param {string} type - Parameter type
+ */
+function setParameterType(name, type) {
+  const parameter = notebookState.parameters[name];
+  if (!parameter) return;
+
+  const wasRange = parameter.type === "date-range";
+  parameter.type = type;
+  if (wasRange !== (type === "date-range")) {
+    parameter.value = window.NotebookParams.createParameter(type).value;
+  }
+  saveParameterValues(notebookState.parameters);
+  notebookState.parameterBarKey = null;
+  updateParameterBar();
+  updateCompiledSql();
+}
+
+/**
+ * Change the options of a dropdown parameter
+ * @param {string} name - Parameter name
+ * @param {string} text - Comma-separated options
+ */
+function setParameterOptions(name, text) {
+  const parameter = notebookState.parameters[name];
+  if (!parameter) return;
+
+  parameter.enumOptions = text
+    .split(",")
+    .map((option) => option.trim())
+    .filter(Boolean);
+  if (!parameter.enumOptions.includes(parameter.value)) {
+    parameter.value = "";
+  }
+  saveParameterValues(notebookState.parameters);
+
+  // Only refresh the dropdown, the options input keeps its focus
+  const paramDiv = Array.from(
+    notebookState.notebookContainer.querySelectorAll(".notebook-param")
+  ).find((div) => div.dataset.paramName === name);
+  if (paramDiv) {
+    paramDiv.querySelector("select.notebook-param-input").innerHTML =
+      renderParameterEnumOptions(parameter);
+  }
+}
+
+/**
+ * Compile a cell's `{{cell:name}}` references into CTEs and expand the SQL
+ * macros it (or a referenced cell) uses
+ * @param {Object} cell - Cell data
+ * @returns {string} SQL sent to Redash for the cell
+ * @throws {Error} If a reference can't be resolved, references form a cycle,
+ *   a referenced cell runs against another data source or a macro call is
+ *   invalid
+ */
+function compileCellSql(cell) {
+  const splitterOptions = getSplitterOptions();
+  const sql = window.NotebookReferences.compile(cell, notebookState.cells, {
+    splitterOptions,
+    queryDataSourceId: notebookState.queryDataSourceId,
+  });
+  return window.SqlMacros.expand(sql, undefined, splitterOptions);
+}
+
+/**
+ * Show or hide the compiled SQL of a cell
+ * @param {string} cellId - Cell id
+ */
+function toggleCompiledSql(cellId) {
+  if (notebookState.compiledCellIds.has(cellId)) {
+    notebookState.compiledCellIds.delete(cellId);
+  } else {
+    notebookState.compiledCellIds.add(cellId);
+  }
+
+  const index = getCellIndex(cellId);
+  const cellDiv = notebookState.notebookContainer.querySelector(
+    `.notebook-cell[data-cell-id="${cellId}"]`
+  );
+  if (cellDiv && index !== -1) {
+    renderCompiledSql(cellDiv, notebookState.cells[index]);
+  }
+}
+
+/**
+ * Refresh the compiled SQL of all cells that show it, as it depends on the
+ * referenced cells and the parameter values
+ */
+function updateCompiledSql() {
+  if (!notebookState.notebookContainer) return;
+
+  notebookState.compiledCellIds.forEach((cellId) => {
+    const index = getCellIndex(cellId);
+    if (index === -1) {
+      notebookState.compiledCellIds.delete(cellId);
+      return;
+    }
+    const cellDiv = notebookState.notebookContainer.querySelector(
+      `.notebook-cell[data-cell-id="${cellId}"]`
+    );
+    if (cellDiv) {
+      renderCompiledSql(cellDiv, notebookState.cells[index]);
+    }
+  });
+}
+
+/**
+ * Render the compiled SQL of a cell, exactly as it is sent to Redash
+ * @param {HTMLElement} cellDiv - The cell element
+ * @param {Object} cell - Cell data
+ */
+function renderCompiledSql(cellDiv, cell) {
+  const container = cellDiv.querySelector(".cell-compiled-container");
+  if (!container) return;
+
+  const isOpen = notebookState.compiledCellIds.has(cell.id);
+  cellDiv
+    .querySelector(".cell-compiled-btn")
+    .classList.toggle("active", isOpen);
+  if (!isOpen) {
+    container.innerHTML = "";
+    return;
+  }
+
+  let body;
+  try {
+    const sql = compileCellSql(cell);
+    const { values } = window.NotebookParams.getParameterValues(
+      sql,
+      notebookState.parameters,
+      getSplitterOptions()
+    );
+    const parameters = escapeHtml(JSON.stringify(values));
+    body = `<pre class="cell-compiled-sql">${escapeHtml(sql)}</pre>`;
+    if (Object.keys(values).length > 0) {
+      body += `<div class="cell-compiled-parameters">Parameters: ${parameters}</div>`;
+    }
+  } catch (error) {
+    const message = escapeHtml(error.message);
+    body = `<div class="cell-compiled-error">${message}</div>`;
+  }
+
+  const cellId = cell.id;
+  container.innerHTML = `
+    <div class="cell-compiled-header">
+      <span class="cell-compiled-label">Compiled SQL</span>
+      <button class="cell-compiled-close-btn" data-cell-id="${cellId}" title="Hide compiled SQL">
+        <i class="zmdi zmdi-close"></i>
+      </button>
+    </div>
+    ${body}
+  `;
+}
+
+/**
+ * Build the dependency graph of the current cells
+ * The graph is only built again once the cells it depends on have changed
+ * @returns {Object} { nodes, edges } (see notebook-graph.js)
+ */
+function getNotebookGraph() {
+  const key = JSON.stringify([
+    notebookState.sqlDialect,
+    notebookState.cells.map((cell) => [
+      cell.id,
+      cell.type,
+      cell.meta.name,
+      cell.content,
+    ]),
+  ]);
+  if (!notebookState.graphCache || notebookState.graphCache.key !== key) {
+    const graph = window.NotebookGraph.buildGraph(
+      notebookState.cells,
+      getSplitterOptions()
+    );
+    notebookState.graphCache = { key, graph };
+  }
+  return notebookState.graphCache.graph;
+}
+
+/**
+ * Show or hide the dependency graph panel
+ */
+function toggleGraphPanel() {
+  notebookState.showGraph = !notebookState.showGraph;
+  notebookState.notebookContainer.classList.toggle(
+    "graph-visible",
+    notebookState.showGraph
+  );
+  renderGraph();
+}
+
+/**
+ * Draw the dependency graph of the SQL cells, with the cells each cell
+ * depends on to its left
+ */
+function renderGraph() {
+  if (!notebookState.notebookContainer || !notebookState.showGraph) return;
+
+  const panel = notebookState.notebookContainer.querySelector(
+    ".notebook-graph-panel"
+  );
+  const graph = getNotebookGraph();
+  if (graph.nodes.length === 0) {
+    panel.innerHTML = `<div class="notebook-graph-hint">The notebook has no SQL cells.</div>`;
+    return;
+  }
+
+  const { positions, layerCount, rowCount } =
+    window.NotebookGraph.layoutGraph(graph);
+  const { nodeWidth, nodeHeight, layerGap, rowGap, padding } = GRAPH_LAYOUT;
+
+  const getPoint = (cellId) => ({
+    x: padding + positions[cellId].layer * (nodeWidth + layerGap),
+    y: padding + positions[cellId].row * (nodeHeight + rowGap),
+  });
+
+  const edges = graph.edges.map((edge) => {
+    const from = getPoint(edge.from);
+    const to = getPoint(edge.to);
+    const x1 = from.x + nodeWidth;
+    const y1 = from.y + nodeHeight / 2;
+    const x2 = to.x;
+    const y2 = to.y + nodeHeight / 2;
+    const bend = Math.max(layerGap / 2, Math.abs(x2 - x1) / 2);
+    const c1 = `${x1 + bend} ${y1}`;
+    const c2 = `${x2 - bend} ${y2}`;
+    const path = `M ${x1} ${y1} C ${c1}, ${c2}, ${x2} ${y2}`;
+    return `<path class="notebook-graph-edge" d="${path}" marker-end="url(#notebook-graph-arrow)" />`;
+  });
+
+  const nodes = graph.nodes.map((node) => {
+    const cell = notebookState.cells[node.index];
+    const { x, y } = getPoint(node.id);
+    const title = getCellOutlineTitle(cell);
+    const shortTitle = title.length > 20 ? `${title.slice(0, 19)}…` : title;
+    const label = `${node.index + 1}. ${escapeHtml(shortTitle)}`;
+    const classes = getGraphNodeClasses(cell, getCellStatus(cell));
+    const cellId = cell.id;
+    return `
+      <g class="${classes}" data-cell-id="${cellId}" transform="translate(${x}, ${y})">
+        <title>${escapeHtml(title)}</title>
+        <rect width="${nodeWidth}" height="${nodeHeight}" rx="4" />
+        <text x="8" y="${nodeHeight / 2 + 4}">${label}</text>
+      </g>
+    `;
+  });
+
+  const width = padding * 2 + layerCount * (nodeWidth + layerGap) - layerGap;
+  const height = padding * 2 + rowCount * (nodeHeight + rowGap) - rowGap;
+  const hint =
+    graph.edges.length === 0
+      ? `<div class="notebook-graph-hint">No cell uses a CTE, table or view another cell defines.</div>`
+      : "";
+
+  panel.innerHTML = `
+    ${hint}
+    <svg class="notebook-graph" width="${width}" height="${height}">
+      <defs>
+        <marker id="notebook-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M 0 0 L 10 5 L 0 10 z" />
+        </marker>
+      </defs>
+      ${edges.join("")}
+      ${nodes.join("")}
+    </svg>
+  `;
+}
+
+/**
+ * Classes of a graph node for the status of its cell
+ * @param {Object} cell - Cell data
+ * @param {string} status - Cell status
+ * @returns {string} Class names
+ */
+function getGraphNodeClasses(cell, status) {
+  const stale = notebookState.staleCellIds.has(cell.id) ? "graph-stale" : "";
+  return `notebook-graph-node graph-${status} ${stale}`;
+}
+
+/**
+ * Update the status of a cell's graph node without redrawing the graph
+ * @param {Object} cell - Cell data
+ * @param {string} status - Cell status
+ */
+function updateGraphNodeStatus(cell, status) {
+  if (!notebookState.notebookContainer || !notebookState.showGraph) return;
+
+  const node = notebookState.notebookContainer.querySelector(
+    `.notebook-graph-node[data-cell-id="${cell.id}"]`
+  );
+  if (node) {
+    node.setAttribute("class", getGraphNodeClasses(cell, status));
+  }
+}
+
+/**
+ * Mark the cells depending on a cell as stale, so their outputs are flagged
+ * as out of date until they run again
+ * @param {string} cellId - Id of the edited or re-run cell
+ * @param {Object} graph - Dependency graph to use (defaults to the current one)
+ */
+function markDownstreamStale(cellId, graph = getNotebookGraph()) {
+  window.NotebookGraph.getDownstream(graph, cellId).forEach((id) => {
+    // Cells without output have nothing to be out of date
+    if (notebookState.cellResults[id] && !notebookState.staleCellIds.has(id)) {
+      notebookState.staleCellIds.add(id);
+      updateCellOutput(id);
+    }
+  });
+}
+
+/**
+ * Load the data sources cells can pick from, and the SQL dialect of the
+ * query's data source
+ * @returns {Promise} Resolves once both are loaded (or failed to load)
+ */
+function loadDataSources() {
+  if (!window.RedashApi) return Promise.resolve();
+
+  return window.RedashApi.getDataSources()
+    .then((dataSources) => {
+      notebookState.dataSources = dataSources;
+      updateDataSourceSelects();
+      return updateSqlDialect();
+    })
+    .catch((error) => {
+      customLogger.warn("Re-Redash: Failed to load data sources:", error);
+    });
+}
+
+/**
+ * Split statements the way the query's data source reads them: MySQL-like
+ * data sources escape quotes with backslashes, so a ';' after `'it\'s` is
+ * still inside the string
+ * Cells that are already split are kept as they are; the text is split with
+ * the new dialect the next time notebook mode is opened
+ * @returns {Promise} Resolves once the dialect is up to date
+ */
+function updateSqlDialect() {
+  return window.RedashApi.getCurrentDataSourceId().then((dataSourceId) => {
+    notebookState.queryDataSourceId = dataSourceId;
+    const dataSource = notebookState.dataSources.find(
+      (candidate) => candidate.id === dataSourceId
+    );
+    if (!dataSource) return;
+
+    const dialect = window.SqlSplitter.getDialect(dataSource.type);
+    if (dialect !== notebookState.sqlDialect) {
+      notebookState.sqlDialect = dialect;
+      customLogger.log(
+        `Re-Redash: Splitting SQL as ${dialect || "standard SQL"} for ${
+          dataSource.type
+        }`
+      );
+    }
+  });
+}
+
+/**
+ * Render the options of a cell's data source picker
+ * @param {Object} cell - Cell data
+ * @returns {string} HTML
+ */
+function renderDataSourceOptions(cell) {
+  const selectedId = cell.meta.dataSourceId;
+  const options = notebookState.dataSources.map((dataSource) => {
+    const selected = dataSource.id === selectedId ? "selected" : "";
+    const name = escapeHtml(dataSource.name);
+    return `<option value="${dataSource.id}" ${selected}>${name}</option>`;
+  });
+
+  // Keep the stored choice until the list is loaded (or if it was deleted)
+  const isListed = notebookState.dataSources.some(
+    (dataSource) => dataSource.id === selectedId
+  );
+  if (selectedId && !isListed) {
+    options.unshift(
+      `<option value="${selectedId}" selected>Data source ${selectedId}</option>`
+    );
+  }
+
+  return [`<option value="">Query data source</option>`]
+    .concat(options)
+    .join("");
+}
+
+/**
+ * Refresh the data source pickers of all rendered cells
+ */
+function updateDataSourceSelects() {
+  document
+    .querySelectorAll(".notebook-cell .cell-data-source-select")
+    .forEach((select) => {
+      const cellId = select.closest(".notebook-cell").dataset.cellId;
+      const cell = notebookState.cells[getCellIndex(cellId)];
+      if (cell) {
+        select.innerHTML = renderDataSourceOptions(cell);
+      }
+    });
+}
+
+/**
+ * Run a cell against another data source than the query's, or against the
+ * query's again
+ * @param {number} index - Cell index
+ * @param {number|null} dataSourceId - Data source id, null for the query's
+ */
+function setCellDataSource(index, dataSourceId) {
+  if (index < 0 || index >= notebookState.cells.length) return;
+
+  updateCellMeta(index, { dataSourceId });
+
+  // Completions come from the schema of the cell's data source
+  const cell = notebookState.cells[index];
+  const cellEditor = notebookState.cellEditors[cell.id];
+  if (cellEditor && cellEditor.completers) {
+    if (dataSourceId) {
+      cellEditor.completers = [
+        createDataSourceCompleter(dataSourceId),
+        createMacroCompleter(),
+      ];
+    } else {
+      refreshAllCellCompletions();
+    }
+  }
+}
+
+/**
+ * Create an Ace completer offering the tables and columns of a data source,
+ * plus the SQL keywords and functions Redash's editor offers
+ * @param {number} dataSourceId - Data source id
+ * @returns {Object} Ace completer
+ */
+function createDataSourceCompleter(dataSourceId) {
+  return {
+    getCompletions: function (editor, session, pos, prefix, callback) {
+      const lowerPrefix = prefix.toLowerCase();
+      const matches = (value) =>
+        !prefix || value.toLowerCase().startsWith(lowerPrefix);
+
+      window.RedashApi.getDataSourceSchema(dataSourceId)
+        .then((schema) => {
+          const completions = [];
+          schema.forEach((table) => {
+            if (matches(table.name)) {
+              completions.push({
+                caption: table.name,
+                value: table.name,
+                meta: "table",
+                score: 1000,
+              });
+            }
+            (table.columns || []).forEach((column) => {
+              // Newer Redash versions describe columns as { name, type }
+              const name = typeof column === "string" ? column : column.name;
+              if (name && matches(name)) {
+                completions.push({
+                  caption: name,
+                  value: name,
+                  meta: `column (${table.name})`,
+                  score: 900,
+                });
+              }
+            });
+          });
+
+          const sqlCompletions = window.CompletionHandler
+            ? window.CompletionHandler.getAllCompletions()
+            : [];
+          sqlCompletions.forEach((completion) => {
+            const meta = completion.meta || completion.type || "";
+            const value = completion.value || completion.name || "";
+            if (/keyword|function/.test(meta) && value && matches(value)) {
+              completions.push({ caption: value, value, meta, score: 500 });
+            }
+          });
+
+          callback(null, completions);
+        })
+        .catch((error) => {
+          customLogger.warn("Re-Redash: Failed to load schema:", error);
+          callback(null, []);
+        });
+    },
+  };
+}
+
+/**
+ * Create an Ace completer offering the SQL macros of the library, inserted
+ * as a snippet with a placeholder for each argument
+ * @returns {Object} Ace completer
+ */
+function createMacroCompleter() {
+  return {
+    // Ace's default identifier characters plus "@", so "@last" is completed
+    identifierRegexps: [/[@a-zA-Z_0-9\$\-\u00A2-\u2000\u2070-\uFFFF]/],
+    getCompletions: function (editor, session, pos, prefix, callback) {
+      const lowerPrefix = prefix.replace(/^@/, "").toLowerCase();
+      const completions = window.SqlMacros.getMacros()
+        .filter((macro) => macro.name.toLowerCase().startsWith(lowerPrefix))
+        .map((macro) => {
+          const params = macro.params.map(
+            (param, i) => `\${${i + 1}:${param}}`
+          );
+          const args = params.length ? `(${params.join(", ")})` : "";
+          return {
+            caption: `@${macro.name}(${macro.params.join(", ")})`,
+            snippet: `@${macro.name}${args}`,
+            meta: "macro",
+            docText: macro.body,
+            score: 1100,
+          };
+        });
+      callback(null, completions);
+    },
+  };
+}
+
+/**
+ * Navigate to the previous cell (move up)
+ */
+function navigateToPreviousCell() {
+  if (!notebookState.isNotebookMode) return;
+
+  const currentFocusedCell = getCurrentFocusedCellIndex();
+  if (currentFocusedCell === null || currentFocusedCell <= 0) return;
+
+  const previousIndex = currentFocusedCell - 1;
+  focusCell(previousIndex);
+}
+
+/**
+ * Navigate to the next cell (move down)
+ */
+function navigateToNextCell() {
+  if (!notebookState.isNotebookMode) return;
+
+  const currentFocusedCell = getCurrentFocusedCellIndex();
+  if (
+    currentFocusedCell === null ||
+    currentFocusedCell >= notebookState.cells.length - 1
+  )
+    return;
+
+  const nextIndex = currentFocusedCell + 1;
+  focusCell(nextIndex);
+}
+
+/**
+ * Get the index of the currently focused cell
+ * @returns {number|null} The index of the focused cell or null if none
+ */
+function getCurrentFocusedCellIndex() {
+  // Check Ace editors first
+  for (const [cellId, editor] of Object.entries(notebookState.cellEditors)) {
+    try {
+      if (editor.isFocused && editor.isFocused()) {
+        return getCellIndex(cellId);
+      }
+    } catch (error) {
+      // Some Ace editors might not have isFocused method, check DOM focus
+      const editorElement = editor.container || editor.renderer.container;
+      if (editorElement && editorElement.contains(document.activeElement)) {
+        return getCellIndex(cellId);
+      }
+    }
+  }
+
+  // Check fallback textareas
+  const activeElement = document.activeElement;
+  if (activeElement && activeElement.classList.contains("fallback-textarea")) {
+    const cellIndex = activeElement.dataset.cellIndex;
+    if (cellIndex) {
+      return parseInt(cellIndex);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Update the visual focus state for a cell
+ * @param {number} index - Index of the cell that gained focus
+ */
+function updateCellFocusState(index) {
+  // Remove focus styling from all cells
+  document.querySelectorAll(".notebook-cell").forEach((cell) => {
+    cell.classList.remove("cell-focused");
+  });
+
+  // Add focus styling to the focused cell
+  const targetCell = document.querySelector(
+    `.notebook-cell:nth-child(${index + 1})`
+  );
+  if (targetCell) {
+    targetCell.classList.add("cell-focused");
+    customLogger.log(`Re-Redash: Updated focus state for cell ${index}`);
+  }
+
+  // Save the last focused cell index for schema list insertions
+  notebookState.lastFocusedCellIndex = index;
+  updateOutlineActiveItem();
+  customLogger.log(`Re-Redash: Saved last focused cell index: ${index}`);
+}
+
+
+/**
+ * Scroll to a specific cell to bring it into view
+ * @param {number} index - Cell index to scroll to
+ */
+function scrollToCell(index) {
+  if (index < 0 || index >= notebookState.cells.length) return;
+
+  // Find the cell element
+  const cellElement = document.querySelector(
+    `.notebook-cell:nth-child(${index + 1})`
+  );
+  
+  if (cellElement) {
+    // Scroll the cell into view with smooth animation
+    cellElement.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center',
+      inline: 'nearest'
+    });
+    customLogger.log(`Re-Redash: Scrolled to cell ${index}`);
+  } else {
+    customLogger.warn(`Re-Redash: Could not find cell element ${index} for scrolling`);
+  }
+}
+
+
+/**
+ * Focus on a specific cell
+ * @param {number} index - Index of the cell to focus
+ */
+function focusCell(index) {
+  if (index < 0 || index >= notebookState.cells.length) return;
+
+  // Editors of cells out of view are created on demand
+  mountCellEditor(notebookState.cells[index].id);
+
+  // Try to focus Ace editor first
+  const cellEditor = getCellEditor(index);
+  if (cellEditor) {
+    try {
+      cellEditor.focus();
+      customLogger.log(`Re-Redash: Focused cell ${index} (Ace editor)`);
+      return;
+    } catch (error) {
+      customLogger.warn("Re-Redash: Failed to focus Ace editor:", error);
+    }
+  }
+
+  // Fallback to textarea
+  const textarea = document.querySelector(
+    `.fallback-textarea[data-cell-index="${index}"]`
+  );
+  if (textarea) {
+    textarea.focus();
+    customLogger.log(`Re-Redash: Focused cell ${index} (textarea)`);
+    return;
+  }
+
+  customLogger.warn(`Re-Redash: Could not focus cell ${index}`);
+}
+
+/**
+ * Delete a cell
+ * @param {number} index - Cell index to delete
+ */
+function deleteCell(index) {
+  if (index >= 0 && index < notebookState.cells.length) {
+    recordNotebookHistory("Delete cell");
+
+    // Determine which cell to focus after deletion
+    const totalCells = notebookState.cells.length;
+    let focusIndex = -1;
+
+    if (totalCells > 1) {
+      // If deleting the first cell, focus on the next cell (which will become index 0)
+      // Otherwise, focus on the previous cell
+      focusIndex = index > 0 ? index - 1 : 0;
+    }
+
+    // The cell's result is kept so that undoing the delete brings it back
+    const [deletedCell] = notebookState.cells.splice(index, 1);
+    notebookState.editingMarkdownCells.delete(deletedCell.id);
+    renderCells();
+
+    // Sync to Ace editor after deleting cell
+    syncCellsToAceEditor();
+
+    showNotebookToast("Cell deleted", "Undo", undoNotebookChange);
+
+    // Focus on the appropriate cell after a short delay to ensure rendering is complete
+    if (focusIndex >= 0 && notebookState.cells.length > 0) {
+      setTimeout(() => {
+        focusCell(focusIndex);
+      }, 100);
+    }
+  }
+}
+
+/**
+ * Copy a cell, including its metadata
+ * @param {Object} cell - Cell data
+ * @returns {Object} Independent copy with the same id
+ */
+function cloneCell(cell) {
+  return {
+    ...cell,
+    meta: {
+      ...cell.meta,
+      tags: cell.meta.tags.slice(),
+      extra: { ...cell.meta.extra },
+    },
+  };
+}
+
+/**
+ * Create a notebook history entry for the current cells
+ * @param {string} label - Description of the change
+ * @param {Array<string>} changedCellIds - Ids of cells whose content the change rewrites
+ * @returns {Object} History entry
+ */
+function createHistoryEntry(label, changedCellIds) {
+  flushCellEditors();
+  return {
+    label,
+    cells: notebookState.cells.map(cloneCell),
+    changedCellIds,
+  };
+}
+
+/**
+ * Record the cells before a structural change so that it can be undone
+ * Call before mutating notebookState.cells
+ * @param {string} label - Description of the change (e.g. "Delete cell")
+ * @param {Array<string>} changedCellIds - Ids of surviving cells whose content
+ *   the change rewrites (e.g. merge), restored on undo even if edited since
+ */
+function recordNotebookHistory(label, changedCellIds = []) {
+  const history = notebookState.history;
+  history.undo.push(createHistoryEntry(label, changedCellIds));
+  if (history.undo.length > notebookState.config.maxHistorySize) {
+    history.undo.shift();
+  }
+  history.redo = [];
+
+  // A pending "Undo" action would no longer undo what it says
+  hideNotebookToast();
+}
+
+/**
+ * Forget all recorded structural changes
+ */
+function clearNotebookHistory() {
+  notebookState.history = { undo: [], redo: [] };
+  hideNotebookToast();
+}
+
+/**
+ * Restore the cells of a history entry
+ * Cells that still exist keep their current content unless the change
+ * itself rewrote them, so edits made after the change are not lost
+ * @param {Object} entry - History entry
+ */
+function restoreHistoryEntry(entry) {
+  const currentCells = {};
+  notebookState.cells.forEach((cell) => {
+    currentCells[cell.id] = cell;
+  });
+
+  notebookState.cells = entry.cells.map((cell) => {
+    const current = currentCells[cell.id];
+    return current && !entry.changedCellIds.includes(cell.id)
+      ? current
+      : cloneCell(cell);
+  });
+
+  renderCells();
+  syncCellsToAceEditor();
+}
+
+/**
+ * Move the latest entry from one history stack to the other and apply it
+ * @param {Array} fromStack - Stack to take the entry from
+ * @param {Array} toStack - Stack receiving the inverse entry
+ * @returns {Object|null} Applied entry or null if the stack was empty
+ */
+function applyNotebookHistory(fromStack, toStack) {
+  const entry = fromStack.pop();
+  if (!entry) return null;
+
+  toStack.push(createHistoryEntry(entry.label, entry.changedCellIds));
+  restoreHistoryEntry(entry);
+  hideNotebookToast();
+  return entry;
+}
+
+/**
+ * Undo the latest structural cell change
+ */
+function undoNotebookChange() {
+  const history = notebookState.history;
+  const entry = applyNotebookHistory(history.undo, history.redo);
+  if (entry) {
+    customLogger.log(`Re-Redash: Undid "${entry.label}"`);
+  }
+}
+
+/**
+ * Redo the latest undone structural cell change
+ */
+function redoNotebookChange() {
+  const history = notebookState.history;
+  const entry = applyNotebookHistory(history.redo, history.undo);
+  if (entry) {
+    customLogger.log(`Re-Redash: Redid "${entry.label}"`);
+  }
+}
+
+/**
+ * Get or create the notebook toast element
+ * @returns {HTMLElement} Toast element
+ */
+function getToastElement() {
+  if (!notebookState.toastElement) {
+    notebookState.toastElement = document.createElement("div");
+    notebookState.toastElement.className = "notebook-toast";
+    document.body.appendChild(notebookState.toastElement);
+  }
+  return notebookState.toastElement;
+}
+
+/**
+ * Show a short message at the bottom of the page
+ * @param {string} message - Message text
+ * @param {string} actionLabel - Label of the action button (optional)
+ * @param {Function} onAction - Called when the action button is clicked
+ */
+function showNotebookToast(message, actionLabel = null, onAction = null) {
+  const toast = getToastElement();
+  toast.innerHTML = `<span class="notebook-toast-message">${escapeHtml(
+    message
+  )}</span>`;
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement("button");
+    actionBtn.className = "notebook-toast-action";
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener("click", () => {
+      hideNotebookToast();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  toast.classList.add("visible");
+  clearTimeout(notebookState.toastTimeout);
+  notebookState.toastTimeout = setTimeout(
+    hideNotebookToast,
+    notebookState.config.toastDuration
+  );
+}
+
+/**
+ * Hide the notebook toast
+ */
+function hideNotebookToast() {
+  clearTimeout(notebookState.toastTimeout);
+  if (notebookState.toastElement) {
+    notebookState.toastElement.classList.remove("visible");
+  }
+}
+
+function findAndExecuteQuery(searchText = "SELECT", options = {}) {
+  customLogger.log(`Re-Redash: Searching for text: "${searchText}"`);
+
+  // Ensure we have an ace editor
+  if (!notebookState.aceEditor) {
+    customLogger.log(
+      "Re-Redash: No ace editor found, attempting to find one..."
+    );
+    if (!findAceEditor()) {
+      customLogger.warn("Re-Redash: Cannot find ace editor for selection");
+      return false;
+    }
+  }
+
+  try {
+    // Use Ace editor's Search to find the text
+    if (window.ace && window.ace.require) {
+      const Search = window.ace.require("ace/search").Search;
+      const search = new Search();
+
+      // Set search options
+      const searchOptions = {
+        needle: searchText,
+        caseSensitive: options.caseSensitive || false,
+        wholeWord: options.wholeWord || false,
+        regExp: options.regExp || false,
+        ...options,
+      };
+
+      search.set(searchOptions);
+      customLogger.log("Re-Redash: Search options set:", searchOptions);
+
+      // Find the text in the editor
+      const range = search.find(notebookState.aceEditor.session);
+
+      if (range) {
+        // Set the selection to the found range
+        notebookState.aceEditor.selection.setRange(range);
+        customLogger.log("Re-Redash: Text found and selected successfully");
+
+        // Wait a bit for selection to register, then execute
+        setTimeout(() => {
+          executeSelectedQuery();
+        }, 100);
+
+        return true;
+      } else {
+        customLogger.warn(
+          `Re-Redash: Text "${searchText}" not found in editor`
+        );
+        return false;
+      }
+    } else {
+      customLogger.warn("Re-Redash: Ace editor Search not available");
+      return false;
+    }
+  } catch (error) {
+    customLogger.error("Re-Redash: Error searching for text:", error);
+    return false;
+  }
+}
+
+/**
+ * Execute the currently selected query by clicking the execute button
+ */
+function executeSelectedQuery() {
+  customLogger.log("Re-Redash: Attempting to execute selected query...");
+
+  // Try to find the execute button with data-test="ExecuteButton"
+  const executeButton = document.querySelector('[data-test="ExecuteButton"]');
+
+  if (executeButton) {
+    customLogger.log("Re-Redash: Found execute button, simulating click...");
+
+    // Simulate a click event
+    const clickEvent = new MouseEvent("click", {
+      view: window,
+      bubbles: true,
+      cancelable: true,
+    });
+
+    executeButton.dispatchEvent(clickEvent);
+    customLogger.log("Re-Redash: Execute button clicked successfully");
+    return true;
+  } else {
+    customLogger.warn(
+      "Re-Redash: Execute button with data-test='ExecuteButton' not found"
+    );
+
+    // Fallback: try other common execute button selectors
+    const fallbackSelectors = [
+      'button[title*="execute" i]',
+      'button[aria-label*="execute" i]',
+      ".execute-button",
+      ".run-button",
+      'button:contains("Execute")',
+      'button:contains("Run")',
+    ];
 
-  // Position and show dropdown
-  positionDropdown(textarea, dropdown);
-  dropdown.style.display = "block";
-}
+    for (const selector of fallbackSelectors) {
+      const button = document.querySelector(selector);
+      if (button) {
+        customLogger.log(
+          `Re-Redash: Found fallback execute button: ${selector}`
+        );
+        button.click();
+        return true;
+      }
+    }
 
-/**
- * Hide completions dropdown
- * @param {HTMLTextAreaElement} textarea - The textarea element
- */
-function hideCompletions(textarea) {
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  const dropdown = document.querySelector(
-    `.completion-dropdown[data-cell-index="${cellIndex}"]`
-  );
-  if (dropdown) {
-    dropdown.style.display = "none";
+    customLogger.warn("Re-Redash: No execute button found with any selector");
+    return false;
   }
 }
 
 /**
- * Check if completions are visible
- * @param {HTMLTextAreaElement} textarea - The textarea element
+ * Get the current content of a cell, preferring its live editor
+ * @param {number} index - Cell index
+ * @returns {string} Cell content
  */
-function isCompletionVisible(textarea) {
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  const dropdown = document.querySelector(
-    `.completion-dropdown[data-cell-index="${cellIndex}"]`
-  );
-  return dropdown && dropdown.style.display !== "none";
+function getCellContent(index) {
+  const cellEditor = getCellEditor(index);
+  if (cellEditor) {
+    try {
+      return cellEditor.getValue();
+    } catch (error) {
+      customLogger.warn(
+        `Re-Redash: Failed to get content from cell editor ${index}:`,
+        error
+      );
+    }
+  }
+  return notebookState.cells[index].content || "";
 }
 
 /**
- * Handle completion navigation with arrow keys
- * @param {HTMLTextAreaElement} textarea - The textarea element
- * @param {string} key - The pressed key
+ * Execute a specific cell against the Redash API and show its result inline
+ * @param {number} index - Cell index to execute
+ * @param {Object} options - { dataSourceId, shouldCancel, batch } (optional);
+ *   the data source is only used if the cell doesn't set its own. In a batch
+ *   run, a cell without any data source fails instead of being handed to
+ *   Redash's own editor
+ * @returns {Promise<string>} Resolves with the outcome once the cell finished:
+ *   "completed", "error", "cancelled", "skipped" or "submitted" (handed to
+ *   Redash's own editor, whose result can't be tracked)
  */
-function handleCompletionNavigation(textarea, key) {
-  if (!isCompletionVisible(textarea)) return false;
-
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  const dropdown = document.querySelector(
-    `.completion-dropdown[data-cell-index="${cellIndex}"]`
-  );
-  const items = dropdown.querySelectorAll(".completion-item");
-  const selected = dropdown.querySelector(".completion-item.selected");
-
-  if (!selected || items.length === 0) return false;
+function executeCell(index, options = {}) {
+  if (index < 0 || index >= notebookState.cells.length) {
+    return Promise.resolve("skipped");
+  }
 
-  let newIndex = Array.from(items).indexOf(selected);
+  const cell = notebookState.cells[index];
+  cell.content = getCellContent(index);
 
-  if (key === "ArrowDown") {
-    newIndex = (newIndex + 1) % items.length;
-  } else if (key === "ArrowUp") {
-    newIndex = (newIndex - 1 + items.length) % items.length;
+  // "Running" a markdown cell renders it, like in Jupyter
+  if (isMarkdownCell(cell)) {
+    stopMarkdownEditing(index);
+    return Promise.resolve("skipped");
   }
 
-  // Update selection
-  selected.classList.remove("selected");
-  items[newIndex].classList.add("selected");
+  // A second run would race the first one for the cell's result
+  const previousResult = notebookState.cellResults[cell.id];
+  if (previousResult && previousResult.status === "running") {
+    customLogger.log(`Re-Redash: Cell ${index} is already running`);
+    return Promise.resolve("skipped");
+  }
 
-  return true;
-}
+  if (!cell.content.trim()) {
+    alert("Cell is empty. Please enter a query.");
+    return Promise.resolve("skipped");
+  }
 
-/**
- * Accept the selected completion
- * @param {HTMLTextAreaElement} textarea - The textarea element
- */
-function acceptCompletion(textarea) {
-  if (!isCompletionVisible(textarea)) return false;
+  // Sync all cells to Ace editor before execution to ensure content is up to date
+  syncCellsToAceEditor();
 
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  const dropdown = document.querySelector(
-    `.completion-dropdown[data-cell-index="${cellIndex}"]`
+  customLogger.log(
+    `Re-Redash: Executing cell ${index} with content: "${cell.content}"`
   );
-  const selected = dropdown.querySelector(".completion-item.selected");
-
-  if (!selected) return false;
-
-  const value = selected.querySelector(".completion-value").textContent;
-
-  // Get current word being replaced
-  const cursorPos = textarea.selectionStart;
-  const textBeforeCursor = textarea.value.slice(0, cursorPos);
-  const words = textBeforeCursor.split(/\s+/);
-  const currentWord = words[words.length - 1] || "";
-
-  insertCompletion(textarea, value, currentWord);
-  hideCompletions(textarea);
 
-  return true;
-}
+  if (!window.RedashApi) {
+    const submitted = executeCellInMainEditor(cell);
+    return Promise.resolve(submitted ? "submitted" : "error");
+  }
 
-/**
- * Insert completion into textarea
- * @param {HTMLTextAreaElement} textarea - The textarea element
- * @param {string} completion - The completion to insert
- * @param {string} currentWord - The current word being replaced
- */
-function insertCompletion(textarea, completion, currentWord) {
-  const cursorPos = textarea.selectionStart;
-  const value = textarea.value;
+  // Timing and the executed text are kept with every result of this run
+  const runInfo = { startedAt: Date.now(), ranContent: cell.content.trim() };
+  const finishRun = (result) => {
+    setCellResult(cell.id, { ...result, ...runInfo, finishedAt: Date.now() });
+  };
 
-  // Replace current word with completion
-  const startPos = cursorPos - currentWord.length;
-  const newValue =
-    value.slice(0, startPos) + completion + value.slice(cursorPos);
+  let query;
+  try {
+    query = compileCellSql(cell);
+  } catch (error) {
+    finishRun({ status: "error", error: error.message });
+    return Promise.resolve("error");
+  }
 
-  textarea.value = newValue;
-  textarea.selectionStart = textarea.selectionEnd =
-    startPos + completion.length;
+  // Redash refuses queries with placeholders it has no values for
+  const { values: parameters, errors: parameterErrors } =
+    window.NotebookParams.getParameterValues(
+      query,
+      notebookState.parameters,
+      getSplitterOptions()
+    );
+  if (parameterErrors.length > 0) {
+    finishRun({ status: "error", error: parameterErrors.join(" ") });
+    return Promise.resolve("error");
+  }
 
-  // Trigger change event for sync
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  debouncedUpdateCell(cellIndex, newValue);
+  setCellResult(cell.id, { status: "running", ...runInfo });
+
+  // A cell's own data source wins over the one a batch run resolved for the
+  // query
+  const ownDataSourceId = cell.meta.dataSourceId || options.dataSourceId;
+  const dataSourcePromise =
+    ownDataSourceId || options.batch
+      ? Promise.resolve(ownDataSourceId)
+      : window.RedashApi.getCurrentDataSourceId();
+
+  return dataSourcePromise
+    .then((dataSourceId) => {
+      if (!dataSourceId && options.batch) {
+        throw new Error(
+          "Could not determine the data source of this query. Select a data source, or one for this cell, and try again."
+        );
+      }
+      if (!dataSourceId) {
+        customLogger.warn(
+          "Re-Redash: Could not resolve data source, executing through Redash instead"
+        );
+        clearCellResult(cell.id);
+        return executeCellInMainEditor(cell) ? "submitted" : "error";
+      }
 
-  textarea.focus();
+      return window.RedashApi.runQuery({
+        query,
+        dataSourceId,
+        parameters,
+        shouldCancel: options.shouldCancel,
+        timeout: notebookState.config.queryTimeout,
+      }).then((queryResult) => {
+        finishRun({ status: "completed", queryResult });
+        return "completed";
+      });
+    })
+    .catch((error) => {
+      const status = error.cancelled ? "cancelled" : "error";
+      customLogger.warn(`Re-Redash: Cell ${index} execution failed:`, error);
+      finishRun({ status, error: error.message });
+      return status;
+    });
 }
 
 /**
- * Position the completion dropdown
- * @param {HTMLTextAreaElement} textarea - The textarea element
- * @param {HTMLElement} dropdown - The dropdown element
+ * Check whether SQL text calls a macro of the library
+ * @param {string} text - SQL text
+ * @returns {boolean} True if it does, including invalid calls
  */
-function positionDropdown(textarea, dropdown) {
-  const rect = textarea.getBoundingClientRect();
-  dropdown.style.top = `${rect.bottom}px`;
-  dropdown.style.left = `${rect.left}px`;
-  dropdown.style.width = `${Math.max(200, rect.width)}px`;
+function hasMacroCalls(text) {
+  try {
+    const calls = window.SqlMacros.findMacroCalls(
+      text,
+      undefined,
+      getSplitterOptions()
+    );
+    return calls.length > 0;
+  } catch (error) {
+    return true;
+  }
 }
 
 /**
- * Toggle SQL comment (--) for selected lines or current line
- * @param {HTMLTextAreaElement} textarea - The textarea element
+ * Execute a cell through Redash's own editor by selecting its exact source
+ * range and clicking the Execute button (used when the API can't be used)
+ * Reports an error on the cell instead of running the wrong statement when
+ * the cell can't be located
+ * @param {Object} cell - Cell data
+ * @returns {boolean} True if the cell was selected and submitted
  */
-function toggleSQLComment(textarea) {
-  const start = textarea.selectionStart;
-  const end = textarea.selectionEnd;
-  const content = textarea.value;
-
-  // Get the full text and split into lines
-  const lines = content.split("\n");
-
-  // Find which lines are selected
-  let startLine = 0;
-  let endLine = 0;
-  let charCount = 0;
-
-  // Find start line
-  for (let i = 0; i < lines.length; i++) {
-    const lineLength = lines[i].length + 1; // +1 for newline
-    if (charCount + lineLength > start) {
-      startLine = i;
-      break;
-    }
-    charCount += lineLength;
+function executeCellInMainEditor(cell) {
+  // Redash's editor would run the references as parameters, the macros
+  // unexpanded, and against the query's data source
+  let error;
+  const references = window.NotebookReferences.findReferences(
+    cell.content,
+    getSplitterOptions()
+  );
+  if (references.length > 0) {
+    error =
+      "Cells that reference other cells can only be run through the Redash API.";
+  } else if (hasMacroCalls(cell.content)) {
+    error = "Cells using SQL macros can only be run through the Redash API.";
+  } else if (cell.meta.dataSourceId) {
+    error =
+      "Cells with their own data source can only be run through the Redash API.";
+  } else {
+    error = selectCellInMainEditor(cell);
+  }
+  if (error) {
+    customLogger.error(`Re-Redash: Cannot execute cell ${cell.id}:`, error);
+    setCellResult(cell.id, { status: "error", error });
+    alert(error);
+    return false;
   }
 
-  // Find end line
-  charCount = 0;
-  for (let i = 0; i < lines.length; i++) {
-    const lineLength = lines[i].length + 1; // +1 for newline
-    if (charCount + lineLength >= end) {
-      endLine = i;
-      break;
+  // Wait a bit for the selection to register, then execute
+  setTimeout(() => {
+    if (!executeSelectedQuery()) {
+      const message = "Could not find Redash's Execute button.";
+      setCellResult(cell.id, { status: "error", error: message });
+      alert(message);
     }
-    charCount += lineLength;
-  }
+  }, 100);
 
-  // If no selection, just use current line
-  if (start === end) {
-    endLine = startLine;
-  }
+  return true;
+}
 
-  // Check if all selected lines are commented
-  let allCommented = true;
-  for (let i = startLine; i <= endLine; i++) {
-    const line = lines[i].trim();
-    if (line.length > 0 && !line.startsWith("--")) {
-      allCommented = false;
-      break;
-    }
+/**
+ * Select the source range of a cell in the main editor
+ * @param {Object} cell - Cell data
+ * @returns {string|null} Error message, or null if the range was selected
+ */
+function selectCellInMainEditor(cell) {
+  const editor = notebookState.aceEditor;
+  if (!editor || !window.ace || !window.ace.require) {
+    return "Cannot find the query editor. Please refresh the page and try again.";
   }
 
-  // Toggle comments
-  for (let i = startLine; i <= endLine; i++) {
-    const line = lines[i];
-    if (line.trim().length === 0) continue; // Skip empty lines
-
-    if (allCommented) {
-      // Remove comment: remove first occurrence of '--' (and optional space after)
-      lines[i] = line.replace(/^(\s*)--\s?/, "$1");
-    } else {
-      // Add comment: add '--' at the beginning of non-whitespace content
-      const match = line.match(/^(\s*)(.*)/);
-      if (match) {
-        lines[i] = match[1] + "-- " + match[2];
-      }
-    }
+  const range = notebookState.cellRanges[cell.id];
+  const content = cell.content.trim();
+  const text = editor.getValue();
+  if (!range || text.slice(range.start, range.end) !== content) {
+    return "Could not locate this cell in the query text, so it was not executed.";
   }
 
-  // Update textarea content
-  const newContent = lines.join("\n");
-  textarea.value = newContent;
+  const Range = window.ace.require("ace/range").Range;
+  const doc = editor.session.getDocument();
+  const start = doc.indexToPosition(range.start);
+  const end = doc.indexToPosition(range.end);
+  editor.selection.setRange(
+    new Range(start.row, start.column, end.row, end.column)
+  );
+  customLogger.log(
+    `Re-Redash: Selected cell ${cell.id} at offsets ${range.start}-${range.end}`
+  );
+  return null;
+}
 
-  // Update the cell content and sync
-  const cellIndex = parseInt(textarea.dataset.cellIndex);
-  debouncedUpdateCell(cellIndex, newContent);
+/**
+ * Compute where the SQL of each cell ends up in the joined query text
+ * @param {string} fullContent - Joined query text
+ * @param {Array<string>} contents - Current content of every cell
+ * @returns {Object} Map of cell id to { start, end } offsets of the cell's SQL
+ */
+function computeCellRanges(fullContent, contents) {
+  const statements = window.SqlSplitter.splitStatements(
+    fullContent,
+    getSplitterOptions()
+  ).flatMap(splitStatementCells);
+  const cells = notebookState.cells
+    .map((cell, index) => ({ cell, content: contents[index].trim() }))
+    .filter(
+      ({ cell, content }) =>
+        content.length > 0 || formatCellMetadata(cell.meta).length > 0
+    );
 
-  // Restore cursor position (approximately)
-  const lengthDiff = newContent.length - content.length;
-  textarea.selectionStart = Math.max(0, start);
-  textarea.selectionEnd = Math.max(0, end + lengthDiff);
+  // Empty cells without metadata are left out of the text, every other cell
+  // is one statement or a comment before one
+  if (statements.length !== cells.length) {
+    customLogger.warn(
+      "Re-Redash: Cell ranges could not be mapped to the query text"
+    );
+    return {};
+  }
+
+  const ranges = {};
+  cells.forEach(({ cell, content }, i) => {
+    const statement = statements[i];
+    if (!isMarkdownCell(cell) && statement.text.endsWith(content)) {
+      // The metadata comment, if any, precedes the SQL in the statement
+      ranges[cell.id] = {
+        start: statement.end - content.length,
+        end: statement.end,
+      };
+    }
+  });
+  return ranges;
+}
 
-  // Focus back to textarea
-  textarea.focus();
+/**
+ * Get the notebook-wide find panel
+ * @returns {HTMLElement|null} Find panel element
+ */
+function getFindPanel() {
+  return notebookState.notebookContainer
+    ? notebookState.notebookContainer.querySelector(".notebook-find-panel")
+    : null;
 }
 
 /**
- * Parse queries from text content
- * @param {string} content - The text content to parse
- * @returns {Array} Array of query objects
+ * Check whether the notebook-wide find panel is shown
+ * @returns {boolean} True if the panel is open
  */
-function parseQueries(content) {
-  if (!content || !content.trim()) return [];
+function isFindPanelOpen() {
+  const panel = getFindPanel();
+  return !!panel && panel.classList.contains("visible");
+}
 
-  // Split by semicolon and filter out empty queries
-  const queries = content
-    .split(notebookState.config.querySeparator)
-    .map((query) => query.trim())
-    .filter((query) => query.length > 0)
-    .map((query, index) => ({
-      id: `cell_${Date.now()}_${index}`,
-      content: query,
-    }));
+/**
+ * Open the find panel, prefilled with the text selected in the focused cell
+ */
+function openFindPanel() {
+  const panel = getFindPanel();
+  if (!panel) return;
+
+  const input = panel.querySelector(".notebook-find-input");
+  const cellEditor = getCellEditor(getCurrentFocusedCellIndex());
+  const selectedText = cellEditor ? cellEditor.getSelectedText() : "";
+  if (selectedText && !selectedText.includes("\n")) {
+    input.value = selectedText;
+  }
 
-  return queries;
+  panel.classList.add("visible");
+  input.focus();
+  input.select();
+  notebookState.currentFindMatch = -1;
+  refreshFindMatches();
 }
 
 /**
- * Toggle between notebook mode and text mode
+ * Close the find panel and clear the per-cell match counts
  */
-function toggleNotebookMode() {
-  if (!notebookState.isNotebookMode) {
-    switchToNotebookMode();
-  } else {
-    switchToTextMode();
-  }
+function closeFindPanel() {
+  const panel = getFindPanel();
+  if (!panel) return;
+
+  panel.classList.remove("visible", "has-error");
+  notebookState.findMatches = [];
+  notebookState.currentFindMatch = -1;
+  updateFindCounts();
 }
 
 /**
- * Switch to notebook mode
+ * Build the regular expression for the find panel's text and options
+ * @returns {RegExp|null} Global regular expression, or null without find text
+ * @throws {SyntaxError} If the text is not a valid regular expression
  */
-function switchToNotebookMode() {
-  customLogger.log("Re-Redash: Attempting to switch to notebook mode...");
-  customLogger.log("Re-Redash: CompletionHandler state before switch:", {
-    available: !!window.CompletionHandler,
-    loaded: window.CompletionHandler
-      ? window.CompletionHandler.isLoaded()
-      : false,
-    originalCompleters: window.CompletionHandler
-      ? !!window.CompletionHandler.getOriginalCompleters()
-      : false,
+function getFindRegExp() {
+  const panel = getFindPanel();
+  const text = panel.querySelector(".notebook-find-input").value;
+  if (!text) return null;
+
+  const options = {};
+  panel.querySelectorAll(".notebook-find-option").forEach((input) => {
+    options[input.dataset.option] = input.checked;
   });
 
-  // Try to re-find editor if not available
-  if (!notebookState.aceEditor) {
-    customLogger.log("Re-Redash: Editor not found, attempting to re-detect...");
-    if (!findAceEditor()) {
-      alert(
-        "Cannot find the query editor. Please make sure you are on a query editing page and try refreshing."
-      );
-      return;
-    }
+  let source = options.regex
+    ? text
+    : text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (options.wholeWord) {
+    source = `\\b(?:${source})\\b`;
   }
+  return new RegExp(source, options.caseSensitive ? "g" : "gi");
+}
 
-  customLogger.log(
-    "Re-Redash: Main editor completers before switch:",
-    notebookState.aceEditor.completers
-      ? notebookState.aceEditor.completers.length
-      : "undefined"
-  );
-  customLogger.log(
-    "Re-Redash: Main editor completers details:",
-    notebookState.aceEditor.completers
-      ? notebookState.aceEditor.completers.map(
-          (c) => c.constructor.name || "Unknown"
-        )
-      : "undefined"
-  );
-
-  if (!notebookState.originalContainer) {
-    // Try to find a suitable container
-    const editor =
-      notebookState.aceEditor._textarea ||
-      document.querySelector(".ace_editor") ||
-      document.querySelector("textarea");
+/**
+ * Search all cells and update the match list and counts
+ */
+function refreshFindMatches() {
+  const panel = getFindPanel();
+  if (!panel) return;
 
-    if (editor) {
-      notebookState.originalContainer =
-        editor.closest(
-          ".query-editor, .editor-container, .ace-editor-container"
-        ) || editor.parentElement;
-      customLogger.log("Re-Redash: Found container for editor");
-    } else {
-      alert(
-        "Cannot find the editor container. Please refresh the page and try again."
-      );
-      return;
-    }
+  let regExp = null;
+  let error = null;
+  try {
+    regExp = getFindRegExp();
+  } catch (e) {
+    error = e.message;
   }
 
-  try {
-    // Get current content from ace editor
-    const content = notebookState.aceEditor.getValue();
-    customLogger.log(
-      "Re-Redash: Retrieved content from editor:",
-      content.length,
-      "characters"
-    );
+  const matches = [];
+  if (regExp) {
+    notebookState.cells.forEach((cell, index) => {
+      const content = getCellContent(index);
+      regExp.lastIndex = 0;
+      let match;
+      while ((match = regExp.exec(content)) !== null) {
+        if (match[0].length === 0) {
+          // Empty matches (e.g. /^/) can't be selected or replaced
+          regExp.lastIndex++;
+          continue;
+        }
+        matches.push({
+          cellId: cell.id,
+          start: match.index,
+          end: match.index + match[0].length,
+        });
+      }
+    });
+  }
 
-    // Parse queries into cells
-    notebookState.cells = parseQueries(content);
-    customLogger.log(
-      "Re-Redash: Parsed",
-      notebookState.cells.length,
-      "queries"
-    );
+  notebookState.findMatches = matches;
+  if (notebookState.currentFindMatch >= matches.length) {
+    notebookState.currentFindMatch = matches.length > 0 ? 0 : -1;
+  }
 
-    // Hide original editor
-    notebookState.originalContainer.style.display = "none";
+  panel.classList.toggle("has-error", !!error);
+  updateFindCounts(error);
+}
 
-    // Show notebook container
-    notebookState.notebookContainer.style.display = "block";
+/**
+ * Update the match summary of the find panel and the count of each cell
+ * @param {string|null} error - Message of an invalid regular expression
+ */
+function updateFindCounts(error = null) {
+  const panel = getFindPanel();
+  if (!panel) return;
+
+  const matches = notebookState.findMatches;
+  const cellCount = new Set(matches.map((match) => match.cellId)).size;
+  let summary = "";
+  if (error) {
+    summary = "Invalid regular expression";
+  } else if (panel.querySelector(".notebook-find-input").value) {
+    const current =
+      notebookState.currentFindMatch >= 0
+        ? `${notebookState.currentFindMatch + 1} of `
+        : "";
+    summary =
+      matches.length === 0
+        ? "No results"
+        : `${current}${matches.length} in ${cellCount} cell${
+            cellCount === 1 ? "" : "s"
+          }`;
+  }
+  panel.querySelector(".notebook-find-count").textContent = summary;
 
-    // Insert notebook container after original container
-    if (!notebookState.notebookContainer.parentNode) {
-      notebookState.originalContainer.parentNode.insertBefore(
-        notebookState.notebookContainer,
-        notebookState.originalContainer.nextSibling
-      );
+  document.querySelectorAll(".notebook-cell").forEach((cellDiv) => {
+    const cell = notebookState.cells[getCellIndex(cellDiv.dataset.cellId)];
+    if (cell) {
+      renderCellFindCount(cellDiv, cell);
     }
+  });
+}
 
-    // Render cells
-    renderCells();
+/**
+ * Render the number of find matches in a cell's header
+ * @param {HTMLElement} cellDiv - The cell element
+ * @param {Object} cell - Cell data
+ */
+function renderCellFindCount(cellDiv, cell) {
+  const element = cellDiv.querySelector(".cell-find-count");
+  if (!element) return;
+
+  const count = notebookState.findMatches.filter(
+    (match) => match.cellId === cell.id
+  ).length;
+  element.textContent =
+    count > 0 ? `${count} match${count === 1 ? "" : "es"}` : "";
+}
 
-    notebookState.isNotebookMode = true;
+/**
+ * Move to the next or previous find match and select it in its cell
+ * @param {number} direction - 1 for the next match, -1 for the previous one
+ * @param {boolean} keepPanelFocus - Return focus to the find input afterwards
+ */
+function goToFindMatch(direction, keepPanelFocus = false) {
+  refreshFindMatches();
+  const matches = notebookState.findMatches;
+  if (matches.length === 0) return;
+
+  const current = notebookState.currentFindMatch;
+  notebookState.currentFindMatch =
+    current === -1
+      ? direction > 0
+        ? 0
+        : matches.length - 1
+      : (current + direction + matches.length) % matches.length;
+  updateFindCounts();
+  selectFindMatch(matches[notebookState.currentFindMatch], keepPanelFocus);
+}
 
-    // Save preference to localStorage
-    saveNotebookModePreference(true);
+/**
+ * Focus the cell of a find match and select the matched text
+ * @param {Object} match - Find match ({ cellId, start, end })
+ * @param {boolean} keepPanelFocus - Return focus to the find input afterwards
+ */
+function selectFindMatch(match, keepPanelFocus) {
+  const index = getCellIndex(match.cellId);
+  const cell = notebookState.cells[index];
+  if (!cell) return;
+
+  const select = () => {
+    focusCell(index);
+    scrollToCell(index);
+
+    const cellEditor = getCellEditor(index);
+    if (cellEditor && window.ace && window.ace.require) {
+      const Range = window.ace.require("ace/range").Range;
+      const doc = cellEditor.getSession().getDocument();
+      const start = doc.indexToPosition(match.start);
+      const end = doc.indexToPosition(match.end);
+      cellEditor.selection.setRange(
+        new Range(start.row, start.column, end.row, end.column)
+      );
+    } else {
+      const textarea = document.querySelector(
+        `.fallback-textarea[data-cell-index="${index}"]`
+      );
+      if (textarea) {
+        textarea.setSelectionRange(match.start, match.end);
+      }
+    }
 
-    // Update toggle button appearance
-    updateToggleButtonAppearance(true);
+    if (keepPanelFocus) {
+      getFindPanel().querySelector(".notebook-find-input").focus();
+    }
+  };
 
-    customLogger.log("Re-Redash: Successfully switched to notebook mode");
-    customLogger.log(
-      "Re-Redash: Notebook mode activated. Created",
-      notebookState.cells.length,
-      "cells"
-    );
-    customLogger.log(
-      "Re-Redash: Cell editors created:",
-      Object.keys(notebookState.cellEditors).length
-    );
-  } catch (error) {
-    customLogger.error("Re-Redash: Error switching to notebook mode:", error);
-    alert(
-      "An error occurred while switching to notebook mode. Check the console for details."
-    );
+  // Rendered markdown cells have to show their source first
+  const isRenderedMarkdown =
+    isMarkdownCell(cell) && !notebookState.editingMarkdownCells.has(cell.id);
+  if (isRenderedMarkdown) {
+    notebookState.editingMarkdownCells.add(cell.id);
+    rerenderCell(index);
+    setTimeout(select, 50);
+  } else {
+    select();
   }
 }
 
 /**
- * Switch to text mode
+ * Compute the replacement text for one match
+ * In regex mode the pattern is matched again at the match's position in the
+ * whole cell, so lookarounds and anchors see the surrounding text
+ * @param {string} content - Cell content the match was found in
+ * @param {Object} match - Find match ({ start, end })
+ * @returns {string} Replacement (with $1-style groups expanded in regex mode)
  */
-function switchToTextMode() {
-  // Sync any pending changes to Ace editor before switching
-  syncCellsToAceEditor();
+function getFindReplacement(content, match) {
+  const panel = getFindPanel();
+  const replacement = panel.querySelector(".notebook-replace-input").value;
+  const regexOption = panel.querySelector(
+    '.notebook-find-option[data-option="regex"]'
+  );
+  if (!regexOption.checked) return replacement;
+
+  const regExp = getFindRegExp();
+  const sticky = new RegExp(regExp.source, regExp.flags.replace("g", "") + "y");
+  sticky.lastIndex = match.start;
+  const replaced = content.replace(sticky, replacement);
+  return replaced.slice(
+    match.start,
+    replaced.length - (content.length - match.end)
+  );
+}
 
-  // Clean up all cell editors
-  if (notebookState.cellEditors) {
-    Object.keys(notebookState.cellEditors).forEach((index) => {
-      try {
-        notebookState.cellEditors[index].destroy();
-      } catch (error) {
-        customLogger.warn(
-          `Re-Redash: Failed to destroy cell editor ${index}:`,
-          error
-        );
-      }
-    });
-    notebookState.cellEditors = {};
+/**
+ * Replace the selected find match and select the next one
+ * The replacement is an edit in the cell's editor, so Ace's undo reverts it
+ */
+function replaceCurrentFindMatch() {
+  refreshFindMatches();
+  const match = notebookState.findMatches[notebookState.currentFindMatch];
+  if (!match) {
+    goToFindMatch(1, true);
+    return;
   }
 
-  // Show original editor
-  notebookState.originalContainer.style.display = "block";
+  const index = getCellIndex(match.cellId);
+  const content = getCellContent(index);
+  const replacement = getFindReplacement(content, match);
+  const newContent =
+    content.slice(0, match.start) + replacement + content.slice(match.end);
+
+  mountCellEditor(match.cellId);
+  const cellEditor = getCellEditor(index);
+  if (cellEditor && window.ace && window.ace.require) {
+    const Range = window.ace.require("ace/range").Range;
+    const doc = cellEditor.getSession().getDocument();
+    const start = doc.indexToPosition(match.start);
+    const end = doc.indexToPosition(match.end);
+    cellEditor
+      .getSession()
+      .replace(
+        new Range(start.row, start.column, end.row, end.column),
+        replacement
+      );
+    updateCellContent(index, newContent);
+  } else {
+    updateCellContent(index, newContent);
+    rerenderCell(index);
+  }
 
-  // Hide notebook container
-  notebookState.notebookContainer.style.display = "none";
+  // The following match now has the index of the replaced one
+  notebookState.currentFindMatch--;
+  goToFindMatch(1, true);
+}
 
-  notebookState.isNotebookMode = false;
+/**
+ * Replace every find match in all cells as a single undoable change
+ */
+function replaceAllFindMatches() {
+  refreshFindMatches();
+  const matches = notebookState.findMatches;
+  if (matches.length === 0) return;
 
-  // Save preference to localStorage
-  saveNotebookModePreference(false);
+  const changedCellIds = Array.from(
+    new Set(matches.map((match) => match.cellId))
+  );
 
-  // Update toggle button appearance
-  updateToggleButtonAppearance(false);
+  recordNotebookHistory("Replace all", changedCellIds);
+  notebookState.cells = notebookState.cells.map((cell, index) => {
+    if (!changedCellIds.includes(cell.id)) return cell;
+
+    // Replacing from the last match keeps the offsets of the earlier ones;
+    // each replacement is computed against the unchanged cell content
+    const original = getCellContent(index);
+    const content = matches
+      .filter((match) => match.cellId === cell.id)
+      .reverse()
+      .reduce(
+        (result, match) =>
+          result.slice(0, match.start) +
+          getFindReplacement(original, match) +
+          result.slice(match.end),
+        original
+      );
 
-  customLogger.log("Re-Redash: Switched to text mode");
+    // Replaced cells are new objects, so their elements are re-rendered
+    return { ...cloneCell(cell), content };
+  });
+  renderCells();
+  syncCellsToAceEditor();
+
+  const summary = `Replaced ${matches.length} match${
+    matches.length === 1 ? "" : "es"
+  } in ${changedCellIds.length} cell${changedCellIds.length === 1 ? "" : "s"}`;
+  showNotebookToast(summary, "Undo", undoNotebookChange);
+
+  notebookState.currentFindMatch = -1;
+  refreshFindMatches();
 }
 
 /**
- * Render all cells in the notebook
+ * Store the execution result of a cell and re-render its output
+ * @param {string} cellId - Cell id
+ * @param {Object} result - { status, queryResult, error, startedAt, finishedAt, ranContent }
  */
-function renderCells() {
-  const cellsContainer =
-    notebookState.notebookContainer.querySelector(".notebook-cells");
-  cellsContainer.innerHTML = "";
+function setCellResult(cellId, result) {
+  const previous = notebookState.cellResults[cellId] || {};
+  notebookState.cellResults[cellId] = {
+    ...result,
+    collapsed: previous.collapsed || false,
+  };
+  if (result.status === "running") {
+    notebookState.staleCellIds.delete(cellId);
+  }
+  updateCellOutput(cellId);
 
-  notebookState.cells.forEach((cell, index) => {
-    const cellElement = createCellElement(cell, index);
-    cellsContainer.appendChild(cellElement);
-  });
+  // A new result makes the outputs of the cells using this one out of date
+  if (result.status === "completed") {
+    markDownstreamStale(cellId);
+  }
 
-  // Add empty cell if no cells exist
-  if (notebookState.cells.length === 0) {
-    addNewCell();
+  if (result.status === "running" && !notebookState.statusTimer) {
+    notebookState.statusTimer = setInterval(updateRunningCellStatuses, 1000);
   }
 }
 
 /**
- * Create a cell element
+ * Get the execution status of a cell
  * @param {Object} cell - Cell data
- * @param {number} index - Cell index
- * @returns {HTMLElement} Cell element
+ * @returns {string} "idle", "queued", "running", "completed", "error" or "cancelled"
  */
-function createCellElement(cell, index) {
-  const cellDiv = document.createElement("div");
-  cellDiv.className = `${notebookState.config.cellClass}`;
-  cellDiv.innerHTML = `
-    <div class="cell-input-container">
-      <div style="padding-top: 4px; min-width: 20px">${index + 1}</div>
-      <div class="cell-editor-wrapper" data-cell-index="${index}"></div>
-      <div class="cell-actions">
-        <button class="cell-execute-btn" data-cell-index="${index}" title="Execute Cell (Shift+Enter)">
-          <span class="zmdi zmdi-play"></span>
-        </button>
-        <button class="cell-add-btn" data-cell-index="${index}" title="Add New Cell">
-          <i class="zmdi zmdi-plus"></i>
-        </button>
-        <button class="cell-copy-btn" data-cell-index="${index}" title="Copy Cell">
-          <i class="zmdi zmdi-copy"></i>
-        </button>
-        <button class="cell-delete-btn" data-cell-index="${index}" title="Delete Cell">
-          <i class="zmdi zmdi-delete"></i>
-        </button>
-      </div>
-    </div>
-  `;
+function getCellStatus(cell) {
+  const runState = notebookState.runState;
+  if (runState && runState.pendingIds.has(cell.id)) {
+    return "queued";
+  }
+  const result = notebookState.cellResults[cell.id];
+  return result ? result.status : "idle";
+}
 
-  // Add tooltips to cell action buttons after DOM insertion
-  setTimeout(() => {
-    const executeBtn = cellDiv.querySelector(".cell-execute-btn");
-    const addBtn = cellDiv.querySelector(".cell-add-btn");
-    const copyBtn = cellDiv.querySelector(".cell-copy-btn");
-    const deleteBtn = cellDiv.querySelector(".cell-delete-btn");
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human readable duration (e.g. "850 ms", "3.2s", "2m 5s")
+ */
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+  return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`;
+}
 
-    if (executeBtn) {
-      addTooltip(executeBtn, "Execute this cell (Shift+Enter)", "top");
+/**
+ * Render the status badge of a cell (status, duration, row count, last run
+ * time and whether the cell changed since that run)
+ * @param {HTMLElement} cellDiv - The cell element
+ * @param {Object} cell - Cell data
+ */
+function renderCellStatus(cellDiv, cell) {
+  const status = getCellStatus(cell);
+  const result = notebookState.cellResults[cell.id];
+
+  cellDiv.classList.remove(
+    ...Object.keys(CELL_STATUS_LABELS).map((name) => `cell-${name}`)
+  );
+  cellDiv.classList.add(`cell-${status}`);
+  cellDiv.classList.toggle(
+    "cell-stale",
+    notebookState.staleCellIds.has(cell.id)
+  );
+  updateOutlineItemStatus(cell, status);
+  updateGraphNodeStatus(cell, status);
+
+  // A running cell can't be run again until it finished
+  const executeBtn = cellDiv.querySelector(".cell-execute-btn");
+  if (executeBtn) {
+    executeBtn.disabled = status === "running";
+  }
+
+  const statusBar = cellDiv.querySelector(".cell-status-bar");
+  if (!statusBar) return;
+
+  // Markdown cells are never executed
+  if (isMarkdownCell(cell)) {
+    statusBar.innerHTML = "";
+    return;
+  }
+
+  const details = [];
+  let title = CELL_STATUS_LABELS[status];
+
+  if (result && status !== "queued") {
+    if (result.status === "completed" && result.queryResult.data) {
+      const rowCount = result.queryResult.data.rows.length;
+      details.push(`${rowCount} row${rowCount === 1 ? "" : "s"}`);
     }
-    if (addBtn) {
-      addTooltip(addBtn, "Add a new cell (Cmd + Shift + A)", "top");
+    if (result.startedAt) {
+      const end = result.finishedAt || Date.now();
+      details.push(formatDuration(end - result.startedAt));
     }
-    if (copyBtn) {
-      addTooltip(copyBtn, "Duplicate cell (Cmd + Shift + D)", "top");
+    if (result.finishedAt) {
+      const finishedAt = new Date(result.finishedAt);
+      details.push(`ran at ${finishedAt.toLocaleTimeString()}`);
+      title += ` - last run ${finishedAt.toLocaleString()}`;
     }
-    if (deleteBtn) {
-      addTooltip(
-        deleteBtn,
-        "Delete this cell (Cmd + Shift + Backspace)",
-        "top"
-      );
+  }
+
+  const changedSinceRun =
+    !!result &&
+    result.ranContent !== undefined &&
+    cell.content.trim() !== result.ranContent;
+
+  statusBar.title = title;
+  statusBar.innerHTML = `
+    <span class="cell-status">${CELL_STATUS_LABELS[status]}</span>
+    <span class="cell-status-details">${escapeHtml(details.join(" · "))}</span>
+    ${
+      changedSinceRun
+        ? `<span class="cell-status-changed" title="The cell text changed since it last ran">edited</span>`
+        : ""
     }
-  }, 0);
+    ${
+      notebookState.staleCellIds.has(cell.id)
+        ? `<span class="cell-status-stale" title="A cell this one depends on changed since it ran">stale</span>`
+        : ""
+    }
+  `;
+}
+
+/**
+ * Re-render the status badge of a cell that is already in the DOM
+ * @param {string} cellId - Cell id
+ */
+function updateCellStatus(cellId) {
+  const cellDiv = document.querySelector(
+    `.notebook-cell[data-cell-id="${cellId}"]`
+  );
+  const cell = notebookState.cells.find((c) => c.id === cellId);
+  if (cellDiv && cell) {
+    renderCellStatus(cellDiv, cell);
+  }
+}
+
+/**
+ * Refresh the elapsed time of running cells, stopping once none are running
+ */
+function updateRunningCellStatuses() {
+  const runningIds = Object.keys(notebookState.cellResults).filter(
+    (cellId) => notebookState.cellResults[cellId].status === "running"
+  );
 
-  // Create Ace Editor instance for this cell after DOM insertion
-  setTimeout(() => {
-    createCellAceEditor(cellDiv, cell, index);
-  }, 0);
+  if (runningIds.length === 0) {
+    clearInterval(notebookState.statusTimer);
+    notebookState.statusTimer = null;
+    return;
+  }
 
-  return cellDiv;
+  runningIds.forEach(updateCellStatus);
 }
 
 /**
- * Create fallback textarea if Ace Editor fails
- * @param {HTMLElement} wrapper - The wrapper element
- * @param {Object} cell - Cell data
- * @param {number} index - Cell index
+ * Remove the execution result of a cell
+ * @param {string} cellId - Cell id
  */
-function createFallbackTextarea(wrapper, cell, index) {
-  wrapper.innerHTML = `
-    <textarea
-      class="cell-input fallback-textarea"
-      data-cell-index="${index}"
-      placeholder="Enter your SQL query here... (Cmd+/ to toggle comments)"
-      rows="1"
-    >${cell.content}</textarea>
-  `;
+function clearCellResult(cellId) {
+  delete notebookState.cellResults[cellId];
+  notebookState.staleCellIds.delete(cellId);
+  updateCellOutput(cellId);
 }
 
 /**
- * Add a new cell
- * @param {number} position - Position to insert the cell (optional)
+ * Collapse or expand the inline output of a cell
+ * @param {string} cellId - Cell id
  */
-function addNewCell(position = null) {
-  const newCell = {
-    id: `cell_${Date.now()}`,
-    content: "",
-  };
-
-  if (
-    position !== null &&
-    position >= 0 &&
-    position < notebookState.cells.length
-  ) {
-    notebookState.cells.splice(position, 0, newCell);
-  } else {
-    notebookState.cells.push(newCell);
-  }
-
-  renderCells();
+function toggleCellOutput(cellId) {
+  const result = notebookState.cellResults[cellId];
+  if (!result) return;
 
-  // Sync to Ace editor after adding cell
-  syncCellsToAceEditor();
+  result.collapsed = !result.collapsed;
+  updateCellOutput(cellId);
+}
 
-  // Focus on the new cell
-  setTimeout(() => {
-    const cellInputs = document.querySelectorAll(".cell-input");
-    const targetIndex = position !== null ? position : cellInputs.length - 1;
-    if (cellInputs[targetIndex]) {
-      cellInputs[targetIndex].focus();
-    }
-  }, 100);
+/**
+ * Re-render the output area of a cell that is already in the DOM
+ * @param {string} cellId - Cell id
+ */
+function updateCellOutput(cellId) {
+  const cellDiv = document.querySelector(
+    `.notebook-cell[data-cell-id="${cellId}"]`
+  );
+  const cell = notebookState.cells.find((c) => c.id === cellId);
+  if (cellDiv && cell) {
+    renderCellOutput(cellDiv, cell);
+  }
 }
 
 /**
- * Copy a cell and create a duplicate
- * @param {number} index - Index of the cell to copy
+ * Render the latest result of a cell into its output container
+ * @param {HTMLElement} cellDiv - The cell element
+ * @param {Object} cell - Cell data
  */
-function copyCell(index) {
-  if (index < 0 || index >= notebookState.cells.length) {
-    customLogger.warn("Re-Redash: Invalid cell index for copy:", index);
+function renderCellOutput(cellDiv, cell) {
+  const container = cellDiv.querySelector(".cell-output-container");
+  const result = notebookState.cellResults[cell.id];
+
+  renderCellStatus(cellDiv, cell);
+
+  if (!container) return;
+  if (!result) {
+    container.innerHTML = "";
     return;
   }
 
-  // Get the current content of the cell
-  let cellContent = "";
+  container.classList.toggle("collapsed", !!result.collapsed);
 
-  // First try to get content from the cell editor (in case user has made changes)
-  if (notebookState.cellEditors && notebookState.cellEditors[index]) {
-    try {
-      cellContent = notebookState.cellEditors[index].getValue();
-    } catch (error) {
-      customLogger.warn(
-        "Re-Redash: Failed to get content from cell editor:",
-        error
-      );
-      // Fallback to stored content
-      cellContent = notebookState.cells[index].content || "";
-    }
+  let summary = "";
+  let body = "";
+
+  if (result.status === "running") {
+    summary = "Running...";
+    body = `<div class="cell-output-message"><i class="zmdi zmdi-spinner zmdi-hc-spin"></i> Executing query...</div>`;
+  } else if (result.status === "cancelled") {
+    summary = "Cancelled";
+    body = `<div class="cell-output-message">${escapeHtml(result.error)}</div>`;
+  } else if (result.status === "error") {
+    summary = "Error";
+    body = `<div class="cell-output-message">${escapeHtml(result.error)}</div>`;
   } else {
-    // Fallback to stored content
-    cellContent = notebookState.cells[index].content || "";
+    const data = result.queryResult.data || { columns: [], rows: [] };
+    const rowCount = data.rows.length;
+    summary = `${rowCount} row${rowCount === 1 ? "" : "s"}`;
+    if (typeof result.queryResult.runtime === "number") {
+      summary += ` · ${result.queryResult.runtime.toFixed(2)}s`;
+    }
+    body = renderResultTable(data);
   }
 
-  // Create a new cell with the copied content
-  const copiedCell = {
-    id: `cell_${Date.now()}`,
-    content: cellContent,
-  };
-
-  // Insert the copied cell right after the original cell
-  const insertPosition = index + 1;
-  notebookState.cells.splice(insertPosition, 0, copiedCell);
+  const toggleIcon = result.collapsed
+    ? "zmdi-chevron-right"
+    : "zmdi-chevron-down";
+  const isStale = notebookState.staleCellIds.has(cell.id);
+  const staleNote = isStale
+    ? `<span class="cell-output-stale" title="A cell this one depends on changed since this result">Out of date</span>`
+    : "";
+  container.classList.toggle("stale", isStale);
+
+  container.innerHTML = `
+    <div class="cell-output-header">
+      <button class="cell-output-toggle-btn" data-cell-id="${cell.id}" title="Collapse/expand output">
+        <i class="zmdi ${toggleIcon}"></i>
+      </button>
+      <span class="cell-output-label">Output</span>
+      <span class="cell-output-summary">${summary}</span>
+      ${staleNote}
+      <button class="cell-output-clear-btn" data-cell-id="${cell.id}" title="Clear output">
+        <i class="zmdi zmdi-close"></i>
+      </button>
+    </div>
+    <div class="cell-output">${body}</div>
+  `;
+}
 
-  // Re-render cells
-  renderCells();
+/**
+ * Render query result data as an HTML table
+ * @param {Object} data - Query result data ({ columns, rows })
+ * @returns {string} HTML string
+ */
+function renderResultTable(data) {
+  if (data.columns.length === 0) {
+    return `<div class="cell-output-message">Query returned no columns.</div>`;
+  }
 
-  // Sync to Ace editor after copying cell
-  syncCellsToAceEditor();
+  const maxRows = notebookState.config.maxOutputRows;
+  const rows = data.rows.slice(0, maxRows);
 
-  // Focus on the new copied cell
-  setTimeout(() => {
-    const cellEditors = Object.values(notebookState.cellEditors);
-    if (cellEditors[insertPosition]) {
-      try {
-        cellEditors[insertPosition].focus();
-      } catch (error) {
-        customLogger.warn("Re-Redash: Failed to focus copied cell:", error);
-      }
+  const formatValue = (value) => {
+    if (value === null || value === undefined) {
+      return `<span class="cell-output-null">NULL</span>`;
     }
-  }, 200);
+    if (typeof value === "object") {
+      return escapeHtml(JSON.stringify(value));
+    }
+    return escapeHtml(value);
+  };
 
-  customLogger.log(
-    `Re-Redash: Copied cell ${index} with content: "${cellContent}"`
-  );
+  const header = data.columns
+    .map(
+      (column) => `<th>${escapeHtml(column.friendly_name || column.name)}</th>`
+    )
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${data.columns
+          .map((column) => `<td>${formatValue(row[column.name])}</td>`)
+          .join("")}</tr>`
+    )
+    .join("");
+  const footer =
+    data.rows.length > rows.length
+      ? `<div class="cell-output-truncated">Showing ${rows.length} of ${data.rows.length} rows</div>`
+      : "";
+
+  return `
+    <table class="cell-output-table">
+      <thead><tr>${header}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    ${footer}
+  `;
 }
 
 /**
- * Navigate to the previous cell (move up)
+ * Run all cells in sequence
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
  */
-function navigateToPreviousCell() {
-  if (!notebookState.isNotebookMode) return;
-
-  const currentFocusedCell = getCurrentFocusedCellIndex();
-  if (currentFocusedCell === null || currentFocusedCell <= 0) return;
-
-  const previousIndex = currentFocusedCell - 1;
-  focusCell(previousIndex);
+function runAllCells() {
+  flushCellEditors();
+  return runCells(notebookState.cells.map((cell) => cell.id));
 }
 
 /**
- * Navigate to the next cell (move down)
+ * Run all cells above a cell
+ * @param {number} index - Cell index (not included in the run)
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
  */
-function navigateToNextCell() {
-  if (!notebookState.isNotebookMode) return;
-
-  const currentFocusedCell = getCurrentFocusedCellIndex();
-  if (
-    currentFocusedCell === null ||
-    currentFocusedCell >= notebookState.cells.length - 1
-  )
-    return;
-
-  const nextIndex = currentFocusedCell + 1;
-  focusCell(nextIndex);
+function runCellsAbove(index) {
+  flushCellEditors();
+  const cellIds = notebookState.cells.slice(0, index).map((cell) => cell.id);
+  return runCells(cellIds);
 }
 
 /**
- * Get the index of the currently focused cell
- * @returns {number|null} The index of the focused cell or null if none
+ * Run a cell and all cells below it
+ * @param {number} index - Index of the first cell to run
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
  */
-function getCurrentFocusedCellIndex() {
-  // Check Ace editors first
-  for (const [index, editor] of Object.entries(notebookState.cellEditors)) {
-    try {
-      if (editor.isFocused && editor.isFocused()) {
-        return parseInt(index);
-      }
-    } catch (error) {
-      // Some Ace editors might not have isFocused method, check DOM focus
-      const editorElement = editor.container || editor.renderer.container;
-      if (editorElement && editorElement.contains(document.activeElement)) {
-        return parseInt(index);
-      }
-    }
-  }
+function runCellAndBelow(index) {
+  flushCellEditors();
+  const cellIds = notebookState.cells.slice(index).map((cell) => cell.id);
+  return runCells(cellIds);
+}
 
-  // Check fallback textareas
-  const activeElement = document.activeElement;
-  if (activeElement && activeElement.classList.contains("fallback-textarea")) {
-    const cellIndex = activeElement.dataset.cellIndex;
-    if (cellIndex) {
-      return parseInt(cellIndex);
-    }
+/**
+ * Run all cells with a tag in order
+ * @param {string} tag - Tag
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
+ */
+function runCellsWithTag(tag) {
+  flushCellEditors();
+  const cellIds = notebookState.cells
+    .filter((cell) => cell.meta.tags.includes(tag))
+    .map((cell) => cell.id);
+  if (cellIds.length === 0) {
+    alert(`No cells are tagged "${tag}".`);
+    return Promise.resolve(null);
   }
+  return runCells(cellIds);
+}
 
-  return null;
+/**
+ * Show only the cells with a tag
+ * @param {string} tag - Tag, or "" to show all cells
+ */
+function setTagFilter(tag) {
+  notebookState.tagFilter = tag;
+  updateTagFilter();
+  renderOutline();
 }
 
 /**
- * Update the visual focus state for a cell
- * @param {number} index - Index of the cell that gained focus
+ * Refresh the tag filter's options from the cells' tags and hide the cells
+ * without the selected tag
  */
-function updateCellFocusState(index) {
-  // Remove focus styling from all cells
-  document.querySelectorAll(".notebook-cell").forEach((cell) => {
-    cell.classList.remove("cell-focused");
-  });
+function updateTagFilter() {
+  if (!notebookState.notebookContainer) return;
 
-  // Add focus styling to the focused cell
-  const targetCell = document.querySelector(
-    `.notebook-cell:nth-child(${index + 1})`
-  );
-  if (targetCell) {
-    targetCell.classList.add("cell-focused");
-    customLogger.log(`Re-Redash: Updated focus state for cell ${index}`);
-  }
+  const container = notebookState.notebookContainer;
+  const tags = Array.from(
+    new Set([].concat(...notebookState.cells.map((cell) => cell.meta.tags)))
+  ).sort();
 
-  // Save the last focused cell index for schema list insertions
-  notebookState.lastFocusedCellIndex = index;
-  customLogger.log(`Re-Redash: Saved last focused cell index: ${index}`);
+  // A tag that no cell has anymore can't be filtered by
+  if (notebookState.tagFilter && !tags.includes(notebookState.tagFilter)) {
+    notebookState.tagFilter = "";
+  }
+  const tagFilter = notebookState.tagFilter;
+
+  const select = container.querySelector(".notebook-tag-filter");
+  select.innerHTML = [`<option value="">All cells</option>`]
+    .concat(
+      tags.map((tag) => {
+        const value = escapeHtml(tag);
+        return `<option value="${value}">Tagged "${value}"</option>`;
+      })
+    )
+    .join("");
+  select.value = tagFilter;
+  select.style.display = tags.length > 0 ? "" : "none";
+
+  const runTaggedBtn = container.querySelector(".notebook-run-tagged-btn");
+  runTaggedBtn.style.display = tagFilter ? "" : "none";
+  runTaggedBtn.disabled = !!notebookState.runState || !tagFilter;
+  runTaggedBtn.innerHTML = `<i class="zmdi zmdi-label"></i> Run tagged "${escapeHtml(
+    tagFilter
+  )}"`;
+
+  container.querySelectorAll(".notebook-cell").forEach((cellDiv) => {
+    const cell = notebookState.cells[getCellIndex(cellDiv.dataset.cellId)];
+    cellDiv.classList.toggle(
+      "cell-filtered-out",
+      !!tagFilter && !!cell && !cell.meta.tags.includes(tagFilter)
+    );
+  });
 }
 
+/**
+ * Run the selected cells in notebook order, or the given cell if none are selected
+ * @param {number} index - Index of the cell the command was run from
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
+ */
+function runSelectedCells(index) {
+  flushCellEditors();
+  const selected = notebookState.selectedCellIds;
+  const cellIds = notebookState.cells
+    .filter((cell, i) =>
+      selected.size > 0 ? selected.has(cell.id) : i === index
+    )
+    .map((cell) => cell.id);
+  return runCells(cellIds);
+}
 
 /**
- * Scroll to a specific cell to bring it into view
- * @param {number} index - Cell index to scroll to
+ * Select or deselect a cell for "Run selected cells"
+ * @param {number} index - Cell index
  */
-function scrollToCell(index) {
-  if (index < 0 || index >= notebookState.cells.length) return;
+function toggleCellSelection(index) {
+  const cell = notebookState.cells[index];
+  if (!cell) return;
 
-  // Find the cell element
-  const cellElement = document.querySelector(
-    `.notebook-cell:nth-child(${index + 1})`
-  );
-  
-  if (cellElement) {
-    // Scroll the cell into view with smooth animation
-    cellElement.scrollIntoView({
-      behavior: 'smooth',
-      block: 'center',
-      inline: 'nearest'
-    });
-    customLogger.log(`Re-Redash: Scrolled to cell ${index}`);
+  const selected = notebookState.selectedCellIds;
+  if (selected.has(cell.id)) {
+    selected.delete(cell.id);
   } else {
-    customLogger.warn(`Re-Redash: Could not find cell element ${index} for scrolling`);
+    selected.add(cell.id);
   }
+  notebookState.selectionAnchorId = cell.id;
+  notebookState.selectionFocusId = cell.id;
+  updateCellSelection();
 }
 
-
 /**
- * Focus on a specific cell
- * @param {number} index - Index of the cell to focus
+ * Select the cells between the selection anchor and a cell
+ * @param {number} index - Index of the cell the range ends at
  */
-function focusCell(index) {
-  if (index < 0 || index >= notebookState.cells.length) return;
+function selectCellRange(index) {
+  const cell = notebookState.cells[index];
+  if (!cell) return;
 
-  // Try to focus Ace editor first
-  if (notebookState.cellEditors && notebookState.cellEditors[index]) {
-    try {
-      notebookState.cellEditors[index].focus();
-      customLogger.log(`Re-Redash: Focused cell ${index} (Ace editor)`);
-      return;
-    } catch (error) {
-      customLogger.warn("Re-Redash: Failed to focus Ace editor:", error);
-    }
+  let anchorIndex = getCellIndex(notebookState.selectionAnchorId);
+  if (anchorIndex === -1) {
+    anchorIndex = index;
+    notebookState.selectionAnchorId = cell.id;
   }
+  notebookState.selectionFocusId = cell.id;
 
-  // Fallback to textarea
-  const textarea = document.querySelector(
-    `.fallback-textarea[data-cell-index="${index}"]`
+  const from = Math.min(anchorIndex, index);
+  const to = Math.max(anchorIndex, index);
+  notebookState.selectedCellIds = new Set(
+    notebookState.cells.slice(from, to + 1).map((rangeCell) => rangeCell.id)
   );
-  if (textarea) {
-    textarea.focus();
-    customLogger.log(`Re-Redash: Focused cell ${index} (textarea)`);
-    return;
+  updateCellSelection();
+}
+
+/**
+ * Grow or shrink the selected range by one cell (Shift+Up/Down)
+ * @param {number} direction - -1 to move the range end up, 1 to move it down
+ */
+function extendCellSelection(direction) {
+  let focusIndex = getCellIndex(notebookState.selectionFocusId);
+  if (focusIndex === -1) {
+    // Start from the last focused cell
+    focusIndex = Math.max(0, notebookState.lastFocusedCellIndex || 0);
+    selectCellRange(focusIndex);
+    if (notebookState.cells.length === 1) return;
   }
 
-  customLogger.warn(`Re-Redash: Could not focus cell ${index}`);
+  const nextIndex = Math.min(
+    notebookState.cells.length - 1,
+    Math.max(0, focusIndex + direction)
+  );
+  selectCellRange(nextIndex);
+  scrollToCell(nextIndex);
 }
 
 /**
- * Delete a cell
- * @param {number} index - Cell index to delete
+ * Deselect all cells
  */
-function deleteCell(index) {
-  if (index >= 0 && index < notebookState.cells.length) {
-    // Clean up Ace editor instance if it exists
-    if (notebookState.cellEditors && notebookState.cellEditors[index]) {
-      try {
-        notebookState.cellEditors[index].destroy();
-        delete notebookState.cellEditors[index];
-      } catch (error) {
-        customLogger.warn(
-          `Re-Redash: Failed to destroy cell editor ${index}:`,
-          error
-        );
-      }
-    }
+function clearCellSelection() {
+  notebookState.selectedCellIds = new Set();
+  notebookState.selectionAnchorId = null;
+  notebookState.selectionFocusId = null;
+  updateCellSelection();
+}
 
-    // Determine which cell to focus after deletion
-    const totalCells = notebookState.cells.length;
-    let focusIndex = -1;
+/**
+ * Get the indexes of the selected cells
+ * @returns {Array<number>} Indexes in notebook order
+ */
+function getSelectedCellIndexes() {
+  return notebookState.cells
+    .map((cell, index) =>
+      notebookState.selectedCellIds.has(cell.id) ? index : -1
+    )
+    .filter((index) => index !== -1);
+}
 
-    if (totalCells > 1) {
-      // If deleting the first cell, focus on the next cell (which will become index 0)
-      // Otherwise, focus on the previous cell
-      focusIndex = index > 0 ? index - 1 : 0;
+/**
+ * Show the selection state on the cells and in the selection bar
+ * Selected ids of cells that no longer exist are dropped
+ */
+function updateCellSelection() {
+  const existingIds = new Set(notebookState.cells.map((cell) => cell.id));
+  notebookState.selectedCellIds.forEach((cellId) => {
+    if (!existingIds.has(cellId)) {
+      notebookState.selectedCellIds.delete(cellId);
     }
+  });
 
-    notebookState.cells.splice(index, 1);
-    renderCells();
+  document.querySelectorAll(".notebook-cell").forEach((cellDiv) => {
+    cellDiv.classList.toggle(
+      "cell-selected",
+      notebookState.selectedCellIds.has(cellDiv.dataset.cellId)
+    );
+  });
 
-    // Sync to Ace editor after deleting cell
-    syncCellsToAceEditor();
+  if (!notebookState.notebookContainer) return;
+  const bar = notebookState.notebookContainer.querySelector(
+    ".notebook-selection-bar"
+  );
+  const count = notebookState.selectedCellIds.size;
+  bar.classList.toggle("visible", count > 0);
+  bar.querySelector(".notebook-selection-count").textContent = `${count} cell${
+    count === 1 ? "" : "s"
+  } selected`;
+}
 
-    // Focus on the appropriate cell after a short delay to ensure rendering is complete
-    if (focusIndex >= 0 && notebookState.cells.length > 0) {
-      setTimeout(() => {
-        focusCell(focusIndex);
-      }, 100);
-    }
+/**
+ * Apply a selection bar action to the selected cells
+ * @param {string} action - Action name from data-selection-action
+ */
+function runSelectionAction(action) {
+  const indexes = getSelectedCellIndexes();
+  if (indexes.length === 0) return;
+
+  switch (action) {
+    case "run":
+      runSelectedCells(indexes[0]);
+      break;
+    case "moveUp":
+      moveSelectedCells(-1);
+      break;
+    case "moveDown":
+      moveSelectedCells(1);
+      break;
+    case "duplicate":
+      duplicateSelectedCells();
+      break;
+    case "merge":
+      mergeCells(indexes);
+      break;
+    case "comment":
+      toggleSelectedCellsComment();
+      break;
+    case "exportIpynb":
+      flushCellEditors();
+      exportNotebookAsIpynb(indexes.map((index) => notebookState.cells[index]));
+      break;
+    case "exportReport":
+      flushCellEditors();
+      exportNotebookReport(indexes.map((index) => notebookState.cells[index]));
+      break;
+    case "delete":
+      deleteSelectedCells();
+      break;
+    case "clear":
+      clearCellSelection();
+      break;
+    default:
+      customLogger.warn(`Re-Redash: Unknown selection action ${action}`);
   }
 }
 
-function findAndExecuteQuery(searchText = "SELECT", options = {}) {
-  customLogger.log(`Re-Redash: Searching for text: "${searchText}"`);
-
-  // Ensure we have an ace editor
-  if (!notebookState.aceEditor) {
-    customLogger.log(
-      "Re-Redash: No ace editor found, attempting to find one..."
-    );
-    if (!findAceEditor()) {
-      customLogger.warn("Re-Redash: Cannot find ace editor for selection");
-      return false;
-    }
-  }
-
-  try {
-    // Use Ace editor's Search to find the text
-    if (window.ace && window.ace.require) {
-      const Search = window.ace.require("ace/search").Search;
-      const search = new Search();
+/**
+ * Delete all selected cells as one undoable change
+ */
+function deleteSelectedCells() {
+  const selected = notebookState.selectedCellIds;
+  const count = selected.size;
 
-      // Set search options
-      const searchOptions = {
-        needle: searchText,
-        caseSensitive: options.caseSensitive || false,
-        wholeWord: options.wholeWord || false,
-        regExp: options.regExp || false,
-        ...options,
-      };
+  recordNotebookHistory("Delete cells");
+  notebookState.cells = notebookState.cells.filter(
+    (cell) => !selected.has(cell.id)
+  );
+  selected.forEach((cellId) => {
+    notebookState.editingMarkdownCells.delete(cellId);
+  });
+  clearCellSelection();
 
-      search.set(searchOptions);
-      customLogger.log("Re-Redash: Search options set:", searchOptions);
+  renderCells();
+  syncCellsToAceEditor();
+  showNotebookToast(
+    `${count} cell${count === 1 ? "" : "s"} deleted`,
+    "Undo",
+    undoNotebookChange
+  );
+}
 
-      // Find the text in the editor
-      const range = search.find(notebookState.aceEditor.session);
+/**
+ * Insert copies of the selected cells below the last selected cell and
+ * select the copies
+ */
+function duplicateSelectedCells() {
+  const indexes = getSelectedCellIndexes();
+
+  recordNotebookHistory("Duplicate cells");
+  const copies = indexes.map((index) => {
+    const sourceCell = notebookState.cells[index];
+    const sourceMeta = sourceCell.meta;
+    return createCell(
+      sourceCell.content,
+      {
+        name: sourceMeta.name ? `${sourceMeta.name}_copy` : "",
+        tags: sourceMeta.tags.slice(),
+        dataSourceId: sourceMeta.dataSourceId,
+        extra: { ...sourceMeta.extra },
+      },
+      sourceCell.type
+    );
+  });
+  notebookState.cells.splice(indexes[indexes.length - 1] + 1, 0, ...copies);
+  notebookState.selectedCellIds = new Set(copies.map((cell) => cell.id));
+  notebookState.selectionAnchorId = copies[0].id;
+  notebookState.selectionFocusId = copies[copies.length - 1].id;
 
-      if (range) {
-        // Set the selection to the found range
-        notebookState.aceEditor.selection.setRange(range);
-        customLogger.log("Re-Redash: Text found and selected successfully");
+  renderCells();
+  syncCellsToAceEditor();
+}
 
-        // Wait a bit for selection to register, then execute
-        setTimeout(() => {
-          executeSelectedQuery();
-        }, 100);
+/**
+ * Move every selected cell one position up or down, past the nearest
+ * unselected cell
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+function moveSelectedCells(direction) {
+  const indexes = getSelectedCellIndexes();
+  const cells = notebookState.cells;
+  const edgeIndex = direction < 0 ? 0 : cells.length - 1;
+  if (indexes.includes(edgeIndex)) return;
+
+  recordNotebookHistory("Move cells");
+
+  // Walk from the side the cells move to, so a block moves as a whole
+  const ordered = direction < 0 ? indexes : indexes.slice().reverse();
+  ordered.forEach((index) => {
+    const target = index + direction;
+    [cells[index], cells[target]] = [cells[target], cells[index]];
+  });
 
-        return true;
-      } else {
-        customLogger.warn(
-          `Re-Redash: Text "${searchText}" not found in editor`
-        );
-        return false;
-      }
-    } else {
-      customLogger.warn("Re-Redash: Ace editor Search not available");
-      return false;
-    }
-  } catch (error) {
-    customLogger.error("Re-Redash: Error searching for text:", error);
-    return false;
-  }
+  renderCells();
+  syncCellsToAceEditor();
+  scrollToCell(indexes[0] + direction);
 }
 
 /**
- * Execute the currently selected query by clicking the execute button
+ * Comment out every line of the selected SQL cells, or comment them back in
+ * when all of them are already commented out, as one undoable change
  */
-function executeSelectedQuery() {
-  customLogger.log("Re-Redash: Attempting to execute selected query...");
+function toggleSelectedCellsComment() {
+  const indexes = getSelectedCellIndexes().filter(
+    (index) => !isMarkdownCell(notebookState.cells[index])
+  );
+  if (indexes.length === 0) return;
 
-  // Try to find the execute button with data-test="ExecuteButton"
-  const executeButton = document.querySelector('[data-test="ExecuteButton"]');
+  const contents = indexes.map((index) => getCellContent(index));
+  const isCommented = (line) => !line.trim() || /^\s*--/.test(line);
+  const uncomment = contents.every((content) =>
+    content.split("\n").every(isCommented)
+  );
 
-  if (executeButton) {
-    customLogger.log("Re-Redash: Found execute button, simulating click...");
+  const changedCellIds = indexes.map((index) => notebookState.cells[index].id);
+  recordNotebookHistory(
+    uncomment ? "Uncomment cells" : "Comment out cells",
+    changedCellIds
+  );
 
-    // Simulate a click event
-    const clickEvent = new MouseEvent("click", {
-      view: window,
-      bubbles: true,
-      cancelable: true,
+  indexes.forEach((index, i) => {
+    const lines = contents[i].split("\n").map((line) => {
+      if (!line.trim()) return line;
+      return uncomment
+        ? line.replace(/^(\s*)--\s?/, "$1")
+        : line.replace(/^(\s*)/, "$1-- ");
     });
 
-    executeButton.dispatchEvent(clickEvent);
-    customLogger.log("Re-Redash: Execute button clicked successfully");
-    return true;
-  } else {
-    customLogger.warn(
-      "Re-Redash: Execute button with data-test='ExecuteButton' not found"
-    );
+    // A new object, so that the cell's element is re-rendered
+    notebookState.cells[index] = {
+      ...cloneCell(notebookState.cells[index]),
+      content: lines.join("\n"),
+    };
+  });
 
-    // Fallback: try other common execute button selectors
-    const fallbackSelectors = [
-      'button[title*="execute" i]',
-      'button[aria-label*="execute" i]',
-      ".execute-button",
-      ".run-button",
-      'button:contains("Execute")',
-      'button:contains("Run")',
-    ];
+  renderCells();
+  syncCellsToAceEditor();
+}
 
-    for (const selector of fallbackSelectors) {
-      const button = document.querySelector(selector);
-      if (button) {
-        customLogger.log(
-          `Re-Redash: Found fallback execute button: ${selector}`
-        );
-        button.click();
-        return true;
-      }
-    }
+/**
+ * Run cells one after another, waiting for each query to finish
+ * Markdown and empty cells are left out. Depending on the "stop on error"
+ * option, a failing cell either ends the run or the run continues
+ * @param {Array<string>} cellIds - Ids of the cells to run, in order
+ * @returns {Promise<Object|null>} Run summary, or null if nothing was run
+ */
+function runCells(cellIds) {
+  if (notebookState.runState) {
+    customLogger.warn("Re-Redash: Cells are already running");
+    return Promise.resolve(null);
+  }
 
-    customLogger.warn("Re-Redash: No execute button found with any selector");
-    return false;
+  const queue = cellIds.filter((cellId) => {
+    const cell = notebookState.cells.find((c) => c.id === cellId);
+    return cell && !isMarkdownCell(cell) && cell.content.trim();
+  });
+
+  if (queue.length === 0) {
+    alert("No queries to execute.");
+    return Promise.resolve(null);
   }
+
+  if (!window.RedashApi) {
+    alert("Running several cells requires the Redash API client.");
+    return Promise.resolve(null);
+  }
+
+  const runState = {
+    total: queue.length,
+    done: 0,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    currentIndex: -1,
+    stopRequested: false,
+    pendingIds: new Set(queue), // Cells shown as queued
+  };
+  notebookState.runState = runState;
+  queue.forEach(updateCellStatus);
+  updateRunProgress();
+
+  // Cells with their own data source can run even if the query's can't be
+  // determined, the others fail one by one
+  return window.RedashApi.getCurrentDataSourceId()
+    .catch((error) => {
+      customLogger.warn("Re-Redash: Failed to resolve the data source:", error);
+      return null;
+    })
+    .then((dataSourceId) => runCellQueue(queue, dataSourceId))
+    .catch((error) => {
+      customLogger.warn("Re-Redash: Running cells failed:", error);
+      alert(error.message);
+      runState.skipped = runState.total - runState.done;
+    })
+    .then(() => {
+      notebookState.runState = null;
+      runState.pendingIds.forEach(updateCellStatus);
+      runState.pendingIds.clear();
+      updateRunProgress();
+      showRunSummary(runState);
+      return runState;
+    });
 }
 
 /**
- * Execute a specific cell
- * @param {number} index - Cell index to execute
+ * Execute queued cells one at a time
+ * @param {Array<string>} queue - Ids of the cells still to run
+ * @param {number|null} dataSourceId - Data source to run the cells against,
+ *   unless they set their own; null if it couldn't be determined
+ * @returns {Promise} Resolves when the queue is done or the run stopped
  */
-function executeCell(index) {
-  if (index < 0 || index >= notebookState.cells.length) return;
-
-  const cell = notebookState.cells[index];
+function runCellQueue(queue, dataSourceId) {
+  const runState = notebookState.runState;
 
-  if (!cell.content.trim()) {
-    alert("Cell is empty. Please enter a query.");
-    return;
+  if (queue.length === 0) {
+    return Promise.resolve();
+  }
+  if (runState.stopRequested) {
+    runState.skipped += queue.length;
+    return Promise.resolve();
   }
 
-  // Sync all cells to Ace editor before execution to ensure content is up to date
-  syncCellsToAceEditor();
-
-  // Re-render the specific cell
-  renderCells();
+  const [cellId, ...rest] = queue;
+  const index = notebookState.cells.findIndex((cell) => cell.id === cellId);
+  runState.pendingIds.delete(cellId);
+  runState.currentIndex = index;
+  updateRunProgress();
 
-  // Use the search and execute functionality to find and execute the cell content
-  customLogger.log(
-    `Re-Redash: Executing cell ${index} with content: "${cell.content}"`
-  );
+  // The cell may have been deleted or emptied while earlier cells ran
+  const cell = notebookState.cells[index];
+  const outcomePromise =
+    cell && getCellContent(index).trim()
+      ? executeCell(index, {
+          dataSourceId,
+          shouldCancel: () => runState.stopRequested,
+          batch: true,
+        })
+      : Promise.resolve("skipped");
+
+  return outcomePromise.then((outcome) => {
+    runState.done++;
+
+    if (outcome === "completed") {
+      runState.succeeded++;
+    } else if (outcome === "error") {
+      runState.failed++;
+      if (notebookState.config.stopOnError) {
+        runState.stopRequested = true;
+      }
+    } else {
+      runState.skipped++;
+    }
 
-  // First, try to find the cell content in the main editor and execute it
-  const searchResult = findAndExecuteQuery(cell.content.trim(), {
-    caseSensitive: false,
-    wholeWord: false,
-    regExp: false,
+    return runCellQueue(rest, dataSourceId);
   });
+}
 
-  // If search didn't find the content, fallback to the original method
-  if (!searchResult) {
-    customLogger.log(
-      "Re-Redash: Cell content not found in main editor, using fallback execution"
-    );
-    executeQuery(cell.content);
+/**
+ * Stop the current run after cancelling the running query
+ */
+function stopRunningCells() {
+  if (!notebookState.runState) return;
+
+  notebookState.runState.stopRequested = true;
+  updateRunProgress();
+  customLogger.log("Re-Redash: Stop requested for running cells");
+}
+
+/**
+ * Update the progress bar of the current run
+ */
+function updateRunProgress() {
+  if (!notebookState.notebookContainer) return;
+
+  const runState = notebookState.runState;
+  const container = notebookState.notebookContainer;
+  const progress = container.querySelector(".notebook-run-progress");
+  const runAllBtn = container.querySelector(".notebook-run-all-btn");
+  if (!progress || !runAllBtn) return;
+
+  progress.classList.toggle("visible", !!runState);
+  runAllBtn.disabled = !!runState;
+  container.querySelector(".notebook-run-tagged-btn").disabled =
+    !!runState || !notebookState.tagFilter;
+  if (!runState) return;
+
+  const fill = container.querySelector(".notebook-run-progress-fill");
+  fill.style.width = `${Math.round((runState.done / runState.total) * 100)}%`;
+
+  const cellNumber = runState.currentIndex + 1;
+  const position = runState.done + 1;
+  let text = `${runState.done} of ${runState.total} done`;
+  if (runState.stopRequested) {
+    text = "Stopping...";
+  } else if (cellNumber > 0) {
+    text = `Running cell ${cellNumber} (${position} of ${runState.total})`;
   }
+  container.querySelector(".notebook-run-progress-text").textContent = text;
+  container.querySelector(".notebook-run-summary").textContent = "";
 }
 
 /**
- * Run all cells in sequence
+ * Show the outcome of a finished run in the toolbar
+ * @param {Object} runState - Finished run state
  */
-function runAllCells() {
-  const nonEmptyCells = notebookState.cells
-    .map((cell, index) => ({ cell, index }))
-    .filter(({ cell }) => cell.content.trim());
+function showRunSummary(runState) {
+  const summary = `${runState.succeeded} succeeded, ${runState.failed} failed, ${runState.skipped} skipped`;
+  customLogger.log(`Re-Redash: Run finished: ${summary}`);
 
-  if (nonEmptyCells.length === 0) {
-    alert("No queries to execute.");
-    return;
+  if (!notebookState.notebookContainer) return;
+  const summaryElement = notebookState.notebookContainer.querySelector(
+    ".notebook-run-summary"
+  );
+  if (summaryElement) {
+    summaryElement.textContent = summary;
+    summaryElement.classList.toggle("has-failures", runState.failed > 0);
   }
-
-  // Execute cells sequentially
-  nonEmptyCells.reduce((promise, { index }) => {
-    return promise.then(() => {
-      return new Promise((resolve) => {
-        executeCell(index);
-        // Wait a bit before executing next cell
-        setTimeout(resolve, 1000);
-      });
-    });
-  }, Promise.resolve());
 }
 
 /**
@@ -2224,11 +6687,181 @@ function debouncedUpdateCell(index, content) {
  */
 function updateCellContent(index, content) {
   if (index >= 0 && index < notebookState.cells.length) {
-    notebookState.cells[index].content = content;
+    const cell = notebookState.cells[index];
+    const previousContent = cell.content;
+    if (previousContent === content) {
+      // Metadata changes are synced this way too, and a new name can change
+      // what references to the cell resolve to
+      syncCellsToAceEditor();
+      updateCellStatus(cell.id);
+      updateCompiledSql();
+      renderGraph();
+      return;
+    }
+
+    // The dependency graph is only needed for stale outputs and the graph
+    // panel; the edit can add or remove dependencies, so both graphs count
+    const tracksGraph =
+      notebookState.showGraph ||
+      Object.keys(notebookState.cellResults).length > 0;
+    const previousGraph = tracksGraph ? getNotebookGraph() : null;
+    const previousTitle = getCellOutlineTitle(cell);
+    const previousParameters = findCellParameters(previousContent);
+    cell.content = content;
 
     // Real-time sync back to Ace editor
+    syncCellEditToAceEditor(index, previousContent);
+
+    // The "edited" badge depends on the content, the other views are only
+    // refreshed when they show something the edit changed
+    updateCellStatus(cell.id);
+    if (findCellParameters(content) !== previousParameters) {
+      updateParameterBar();
+    }
+    updateCompiledSql();
+    const titleChanged = getCellOutlineTitle(cell) !== previousTitle;
+    if (titleChanged) {
+      renderOutline();
+    }
+
+    if (tracksGraph) {
+      const graph = getNotebookGraph();
+      markDownstreamStale(cell.id, previousGraph);
+      markDownstreamStale(cell.id, graph);
+      const edgesChanged =
+        JSON.stringify(graph.edges) !== JSON.stringify(previousGraph.edges);
+      if (titleChanged || edgesChanged) {
+        renderGraph();
+      }
+    }
+
+    if (isFindPanelOpen()) {
+      refreshFindMatches();
+    }
+  }
+}
+
+/**
+ * Describe the `{{ param }}` placeholders of a cell, to tell whether an edit
+ * changed them
+ * @param {string} content - Cell content
+ * @returns {string} Names and types of the parameters
+ */
+function findCellParameters(content) {
+  return JSON.stringify(
+    window.NotebookParams.findParameters(content, getSplitterOptions())
+  );
+}
+
+/**
+ * Find the single changed span between two texts
+ * @param {string} oldText - Current text
+ * @param {string} newText - Desired text
+ * @returns {Object} { start, end, text } - offsets in oldText to replace with text
+ */
+function getTextDelta(oldText, newText) {
+  const maxLength = Math.min(oldText.length, newText.length);
+
+  let prefix = 0;
+  while (prefix < maxLength && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < maxLength - prefix &&
+    oldText[oldText.length - 1 - suffix] ===
+      newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return {
+    start: prefix,
+    end: oldText.length - suffix,
+    text: newText.slice(prefix, newText.length - suffix),
+  };
+}
+
+/**
+ * Apply a text delta to an Ace editor's session as a single edit
+ * @param {Object} editor - Ace editor instance
+ * @param {Object} delta - { start, end, text } from getTextDelta
+ */
+function applyTextDelta(editor, delta) {
+  const session = editor.getSession();
+
+  if (!window.ace || !window.ace.require) {
+    // Without Ace's Range the whole text has to be replaced
+    const text = editor.getValue();
+    session.setValue(
+      text.slice(0, delta.start) + delta.text + text.slice(delta.end)
+    );
+    return;
+  }
+
+  const Range = window.ace.require("ace/range").Range;
+  const doc = session.getDocument();
+  const start = doc.indexToPosition(delta.start);
+  const end = doc.indexToPosition(delta.end);
+  session.replace(
+    new Range(start.row, start.column, end.row, end.column),
+    delta.text
+  );
+}
+
+/**
+ * Sync an edit of a single cell to the Ace editor by replacing only the
+ * cell's own text, so typing doesn't join and split the whole notebook
+ * Edits that change the separators around the cell (like emptying it,
+ * adding a separator or a trailing '--' comment, or leaving only comments)
+ * sync all cells instead
+ * @param {number} index - Index of the edited cell
+ * @param {string} previousContent - Content the cell had before the edit
+ */
+function syncCellEditToAceEditor(index, previousContent) {
+  const cell = notebookState.cells[index];
+  const range = notebookState.cellRanges[cell.id];
+  if (!notebookState.aceEditor || !notebookState.isNotebookMode || !range) {
+    syncCellsToAceEditor();
+    return;
+  }
+
+  const options = getSplitterOptions();
+  const oldSql = previousContent.trim();
+  const newSql = cell.content.trim();
+  const text = notebookState.aceEditor.getValue();
+  const canPatch =
+    newSql.length > 0 &&
+    text.slice(range.start, range.end) === oldSql &&
+    window.SqlSplitter.tokenize(newSql, options).every(
+      (token) => token.type !== "separator"
+    ) &&
+    window.SqlSplitter.endsInLineComment(newSql, options) ===
+      window.SqlSplitter.endsInLineComment(oldSql, options) &&
+    window.SqlSplitter.isCommentOnly(newSql, options) ===
+      window.SqlSplitter.isCommentOnly(oldSql, options);
+  if (!canPatch) {
     syncCellsToAceEditor();
+    return;
   }
+
+  const delta = getTextDelta(oldSql, newSql);
+  applyTextDelta(notebookState.aceEditor, {
+    start: range.start + delta.start,
+    end: range.start + delta.end,
+    text: delta.text,
+  });
+
+  // The cells after this one moved by the change in length
+  const shift = newSql.length - oldSql.length;
+  Object.values(notebookState.cellRanges).forEach((other) => {
+    if (other !== range && other.start >= range.end) {
+      other.start += shift;
+      other.end += shift;
+    }
+  });
+  range.end += shift;
 }
 
 /**
@@ -2240,37 +6873,33 @@ function syncCellsToAceEditor() {
   }
 
   try {
-    // Collect content from cell editors or cell objects
-    const cellContents = notebookState.cells.map((cell, index) => {
-      // Try to get content from Ace editor instance first
-      if (notebookState.cellEditors && notebookState.cellEditors[index]) {
-        try {
-          return notebookState.cellEditors[index].getValue().trim();
-        } catch (error) {
-          customLogger.warn(
-            `Re-Redash: Failed to get content from cell editor ${index}:`,
-            error
-          );
-        }
-      }
-
-      // Fallback to cell object content
-      return cell.content ? cell.content.trim() : "";
-    });
+    // Collect content from cell editors or cell objects, prefixed with
+    // each cell's metadata comment
+    const contents = notebookState.cells.map((cell, index) =>
+      getCellContent(index)
+    );
+    const cellContents = serializeCells(contents);
 
     // Reconstruct the full content by joining all cells with semicolons
-    const fullContent = cellContents
-      .filter((content) => content.length > 0) // Skip empty cells
-      .join(";\n\n"); // Join with semicolon and double newline for readability
+    // (empty cells are skipped, comment-only cells are joined to the next
+    // statement, separators are kept out of trailing comments)
+    const fullContent = window.SqlSplitter.joinStatements(
+      cellContents,
+      getSplitterOptions()
+    );
+    notebookState.cellRanges = computeCellRanges(fullContent, contents);
 
     // Get current content to avoid unnecessary updates
     const currentContent = notebookState.aceEditor.getValue();
 
     // Only update if content has actually changed
     if (currentContent !== fullContent) {
-      // Update the Ace editor with the reconstructed content
-      // Use setValue with cursor position 1 to move cursor to end
-      notebookState.aceEditor.setValue(fullContent, 1);
+      // Replace only the changed part so the main editor keeps its undo
+      // history and cursor, and Redash sees a regular edit
+      applyTextDelta(
+        notebookState.aceEditor,
+        getTextDelta(currentContent, fullContent)
+      );
 
       customLogger.log(
         "Re-Redash: Synced",
@@ -2284,12 +6913,64 @@ function syncCellsToAceEditor() {
 }
 
 /**
- * Execute query (placeholder - would integrate with Redash)
- * @param {string} query - SQL query to execute
- * @returns {Promise} Promise that resolves with query result
+ * Title used for exported files (Redash shows the query name as page title)
+ * @returns {string} Notebook title
+ */
+function getNotebookTitle() {
+  return document.title.replace(/\s*\|\s*Redash\s*$/, "").trim();
+}
+
+/**
+ * Download the notebook, including the latest cell results, as .ipynb
+ * @param {Array<Object>} cells - Cells to export (all cells by default)
+ */
+function exportNotebookAsIpynb(cells = notebookState.cells) {
+  if (!window.NotebookExport) {
+    alert("Notebook export is not available yet, please try again.");
+    return;
+  }
+
+  flushCellEditors();
+  const notebook = window.NotebookExport.toIpynb(cells, {
+    results: notebookState.cellResults,
+    maxRows: notebookState.config.maxExportRows,
+  });
+  const fileName = window.NotebookExport.toFileName(
+    getNotebookTitle(),
+    "ipynb"
+  );
+
+  window.NotebookExport.downloadFile(
+    fileName,
+    JSON.stringify(notebook, null, 1),
+    "application/x-ipynb+json"
+  );
+  customLogger.log(`Re-Redash: Exported ${cells.length} cells to ${fileName}`);
+}
+
+/**
+ * Download the notebook and its latest results as a standalone HTML report
+ * @param {Array<Object>} cells - Cells to include (all cells by default)
  */
-function executeQuery(query) {
-  alert("Query not found!");
+function exportNotebookReport(cells = notebookState.cells) {
+  if (!window.NotebookExport) {
+    alert("Notebook export is not available yet, please try again.");
+    return;
+  }
+
+  flushCellEditors();
+  const title = getNotebookTitle();
+  const html = window.NotebookExport.toHtmlReport(cells, {
+    results: notebookState.cellResults,
+    maxRows: notebookState.config.maxExportRows,
+    title,
+    sourceUrl: window.location.href,
+    splitterOptions: getSplitterOptions(),
+  });
+  const fileName = window.NotebookExport.toFileName(title, "html");
+
+  window.NotebookExport.downloadFile(fileName, html, "text/html");
+  customLogger.log(`Re-Redash: Exported report to ${fileName}`);
 }
 
 /**
@@ -2343,6 +7024,18 @@ window.reRedashNotebook = {
   toggleMode: toggleNotebookMode,
   addCell: addNewCell,
   runAll: runAllCells,
+  runTagged: runCellsWithTag,
+  getParameters: () => notebookState.parameters,
+  compileCell: (index) => compileCellSql(notebookState.cells[index]),
+  getGraph: getNotebookGraph,
+  setCellDataSource,
+  filterByTag: setTagFilter,
+  runAbove: runCellsAbove,
+  runBelow: runCellAndBelow,
+  runSelected: runSelectedCells,
+  stopRun: stopRunningCells,
+  exportIpynb: exportNotebookAsIpynb,
+  exportReport: exportNotebookReport,
   getState: getNotebookState,
   debug: debugEditorDetection,
   findEditor: findAceEditor,
@@ -2350,6 +7043,12 @@ window.reRedashNotebook = {
   executeSelectedQuery: executeSelectedQuery,
   findQuery: findAndExecuteQuery, // Alias for convenience
   executeTableQuery: executeTableQuery, // Execute query for a table
+  moveCell: moveCell,
+  splitCell: splitCell,
+  mergeCells: mergeCells,
+  clearSelection: clearCellSelection,
+  undo: undoNotebookChange,
+  redo: redoNotebookChange,
 };
 
 // Auto-initialize when script loads
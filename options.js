@@ -0,0 +1,104 @@
+/**
+ * Re-Redash Settings Page
+ * Edits the SQL macro library, stored in chrome.storage.sync and read by
+ * content.js for the Redash pages
+ */
+
+// Same key as in content.js
+const SQL_MACROS_STORAGE_KEY = "sqlMacros";
+
+const macrosInput = document.querySelector(".options-macros");
+const errorList = document.querySelector(".options-errors");
+const statusText = document.querySelector(".options-status");
+const previewInput = document.querySelector(".options-preview-input");
+const previewOutput = document.querySelector(".options-preview-output");
+
+/**
+ * Show a short status message next to the buttons
+ * @param {string} message - Message to show
+ */
+function showStatus(message) {
+  statusText.textContent = message;
+  setTimeout(() => {
+    if (statusText.textContent === message) {
+      statusText.textContent = "";
+    }
+  }, 3000);
+}
+
+/**
+ * List the library's syntax errors and expand the preview query with the
+ * library as it is typed, before it is saved
+ */
+function updatePreview() {
+  const { macros, errors } = window.SqlMacros.parseLibrary(macrosInput.value);
+
+  errorList.innerHTML = "";
+  errors.forEach((error) => {
+    const item = document.createElement("li");
+    item.textContent = error;
+    errorList.appendChild(item);
+  });
+
+  try {
+    previewOutput.textContent = window.SqlMacros.expand(
+      previewInput.value,
+      macros
+    );
+    previewOutput.classList.remove("error");
+  } catch (error) {
+    previewOutput.textContent = error.message;
+    previewOutput.classList.add("error");
+  }
+}
+
+/**
+ * Load the saved library, or the default one if none was saved
+ */
+function loadMacros() {
+  chrome.storage.sync.get(SQL_MACROS_STORAGE_KEY, (items) => {
+    macrosInput.value =
+      items[SQL_MACROS_STORAGE_KEY] ?? window.SqlMacros.DEFAULT_LIBRARY;
+    updatePreview();
+  });
+}
+
+/**
+ * Save the library; open Redash pages pick it up right away
+ */
+function saveMacros() {
+  const library = macrosInput.value;
+  const { errors } = window.SqlMacros.parseLibrary(library);
+  if (errors.length > 0) {
+    alert(`Please fix the macros first:\n${errors.join("\n")}`);
+    return;
+  }
+
+  chrome.storage.sync.set({ [SQL_MACROS_STORAGE_KEY]: library }, () => {
+    if (chrome.runtime.lastError) {
+      alert(`Could not save the macros: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+    showStatus("Saved");
+  });
+}
+
+/**
+ * Put the default library back in the editor, without saving it
+ */
+function resetMacros() {
+  macrosInput.value = window.SqlMacros.DEFAULT_LIBRARY;
+  updatePreview();
+  showStatus("Default restored, save to keep it");
+}
+
+macrosInput.addEventListener("input", updatePreview);
+previewInput.addEventListener("input", updatePreview);
+document
+  .querySelector(".options-save-btn")
+  .addEventListener("click", saveMacros);
+document
+  .querySelector(".options-reset-btn")
+  .addEventListener("click", resetMacros);
+
+loadMacros();
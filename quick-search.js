@@ -1,14 +1,20 @@
 /**
  * Re-Redash Quick Search Module
  * Provides Cmd+K (Mac) or Ctrl+K (Windows/Linux) quick search for tables
- * with autocomplete and direct query execution
+ * with autocomplete and direct query execution; text after the table name
+ * becomes a WHERE condition, in which SQL macros are expanded
  */
 
+// Placeholder of the search input once tables are loaded
+const SEARCH_PLACEHOLDER =
+  "Search tables... (Type to filter, add a condition after a space)";
+
 // Global state for quick search
 let quickSearchState = {
   modal: null,
   input: null,
   suggestionsContainer: null,
+  queryPreview: null,
   isOpen: false,
   tables: [],
   filteredTables: [],
@@ -53,10 +59,15 @@ function createQuickSearchModal() {
   const searchInput = document.createElement("input");
   searchInput.type = "text";
   searchInput.className = "quick-search-input";
-  searchInput.placeholder = "Search tables... (Type to filter)";
+  searchInput.placeholder = SEARCH_PLACEHOLDER;
   searchInput.autocomplete = "off";
   searchInput.spellcheck = false;
 
+  // Create preview of the query run for the selected table and condition
+  const queryPreview = document.createElement("div");
+  queryPreview.className = "quick-search-query-preview";
+  queryPreview.style.display = "none";
+
   // Create suggestions container
   const suggestionsContainer = document.createElement("div");
   suggestionsContainer.className = "quick-search-suggestions";
@@ -74,6 +85,7 @@ function createQuickSearchModal() {
 
   // Assemble modal
   modalContent.appendChild(searchInput);
+  modalContent.appendChild(queryPreview);
   modalContent.appendChild(suggestionsContainer);
   modalContent.appendChild(infoText);
   modal.appendChild(modalContent);
@@ -85,6 +97,7 @@ function createQuickSearchModal() {
   quickSearchState.modal = modal;
   quickSearchState.input = searchInput;
   quickSearchState.suggestionsContainer = suggestionsContainer;
+  quickSearchState.queryPreview = queryPreview;
 
   // Setup event listeners
   setupModalEventListeners();
@@ -236,7 +249,7 @@ function openQuickSearch() {
     quickSearchState.input.placeholder =
       "Loading tables... Please wait or try again in a moment";
   } else {
-    quickSearchState.input.placeholder = "Search tables... (Type to filter)";
+    quickSearchState.input.placeholder = SEARCH_PLACEHOLDER;
   }
 
   quickSearchState.modal.style.display = "flex";
@@ -277,15 +290,42 @@ function closeQuickSearch() {
   quickSearchState.selectedIndex = -1;
   quickSearchState.input.value = "";
   quickSearchState.suggestionsContainer.innerHTML = "";
+  quickSearchState.queryPreview.style.display = "none";
 
   customLogger.log("Re-Redash: Quick search closed");
 }
 
+/**
+ * Split the search input into the table search term and the condition
+ * typed after it
+ * @returns {Object} { term, condition }
+ */
+function parseSearchInput() {
+  const [, term, condition] = quickSearchState.input.value
+    .trim()
+    .match(/^(\S*)\s*([\s\S]*)$/);
+  return { term, condition };
+}
+
+/**
+ * Build the query run for a table, with the typed condition and its SQL
+ * macros expanded
+ * @param {string} tableName - Table name
+ * @returns {string} SQL query
+ * @throws {Error} If a macro call in the condition is invalid
+ */
+function buildTableQuery(tableName) {
+  const { condition } = parseSearchInput();
+  const where = condition ? ` WHERE ${condition}` : "";
+  const query = `SELECT * FROM ${tableName}${where} LIMIT 100`;
+  return window.SqlMacros ? window.SqlMacros.expand(query) : query;
+}
+
 /**
  * Handle search input changes
  */
 function handleSearchInput(e) {
-  const query = e.target.value.trim().toLowerCase();
+  const query = parseSearchInput().term.toLowerCase();
 
   if (!query) {
     // Show all tables if search is empty
@@ -363,11 +403,18 @@ function handleSuggestionClick(e) {
 function selectTable(tableName) {
   customLogger.log(`Re-Redash: Table selected: ${tableName}`);
 
+  // Create the SELECT query before the modal clears the condition
+  let query;
+  try {
+    query = buildTableQuery(tableName);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
   // Close modal
   closeQuickSearch();
 
-  // Create and execute the SELECT query
-  const query = `SELECT * FROM ${tableName} LIMIT 100`;
   customLogger.log(`Re-Redash: Executing query: ${query}`);
 
   // Use the existing executeTableQuery function from notebook.js
@@ -398,6 +445,8 @@ function renderSuggestions() {
     `Re-Redash: Rendering ${filteredTables.length} suggestions...`
   );
 
+  renderQueryPreview();
+
   if (filteredTables.length === 0) {
     customLogger.log(
       "Re-Redash: No filtered tables, showing 'No tables found' message"
@@ -415,6 +464,11 @@ function renderSuggestions() {
   const displayTables = filteredTables.slice(0, 100);
   customLogger.log(`Re-Redash: Displaying ${displayTables.length} tables`);
 
+  const { term, condition } = parseSearchInput();
+  const suffix = escapePreviewHtml(
+    `${condition ? ` WHERE ${condition}` : ""} LIMIT 100`
+  );
+
   suggestionsContainer.innerHTML = displayTables
     .map(
       (table, index) => `
@@ -426,11 +480,8 @@ function renderSuggestions() {
         data-index="${index}"
       >
         <i class="zmdi zmdi-storage"></i>
-        <span class="table-name">${highlightMatch(
-          table.name,
-          quickSearchState.input.value
-        )}</span>
-        <span class="query-preview">SELECT * FROM ${table.name} LIMIT 100</span>
+        <span class="table-name">${highlightMatch(table.name, term)}</span>
+        <span class="query-preview">SELECT * FROM ${table.name}${suffix}</span>
       </div>
     `
     )
@@ -447,6 +498,42 @@ function renderSuggestions() {
   }
 }
 
+/**
+ * Show the query the selected table runs with, once a condition is typed, so
+ * its expanded macros can be checked before running it
+ */
+function renderQueryPreview() {
+  const { filteredTables, selectedIndex, queryPreview } = quickSearchState;
+  const table = filteredTables[selectedIndex];
+
+  if (!table || !parseSearchInput().condition) {
+    queryPreview.style.display = "none";
+    return;
+  }
+
+  try {
+    queryPreview.textContent = buildTableQuery(table.name);
+    queryPreview.classList.remove("error");
+  } catch (error) {
+    queryPreview.textContent = error.message;
+    queryPreview.classList.add("error");
+  }
+  queryPreview.style.display = "block";
+}
+
+/**
+ * Escape typed text for the suggestions' HTML
+ * @param {string} text - Text
+ * @returns {string} HTML
+ */
+function escapePreviewHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Highlight matching text in table name
  */
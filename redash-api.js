@@ -0,0 +1,362 @@
+/**
+ * Re-Redash API Client
+ * Small wrapper around the Redash REST API used to execute notebook cells
+ * directly (POST /api/query_results, then poll /api/jobs/:id)
+ */
+
+(function () {
+  "use strict";
+
+  // Configuration constants
+  const API_CONFIG = {
+    pollInterval: 1000, // ms between job status checks
+    dataSourcesCacheTtl: 300000, // 5 minutes
+    schemaJobMaxPolls: 60, // give up on a schema job after about a minute
+    queryJobTimeout: 1800000, // give up on a query job after 30 minutes
+  };
+
+  // Redash job statuses
+  const JOB_STATUS = {
+    PENDING: 1,
+    STARTED: 2,
+    SUCCESS: 3,
+    FAILURE: 4,
+    CANCELLED: 5,
+  };
+
+  let dataSourcesCache = {
+    promise: null,
+    timestamp: 0,
+  };
+
+  // Schema promises by data source id
+  const schemaCache = {};
+
+  /**
+   * Read a cookie value from the page
+   * @param {string} name - Cookie name
+   * @returns {string|null} Cookie value or null
+   */
+  function getCookie(name) {
+    const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Perform a JSON request against the Redash API using the page session
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /api/jobs/1)
+   * @param {Object} body - Optional JSON body
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  function request(method, path, body = null) {
+    const headers = { Accept: "application/json" };
+    if (body) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    // Newer Redash versions protect mutating requests with a CSRF token
+    const csrfToken = getCookie("csrf_token");
+    if (csrfToken && method !== "GET") {
+      headers["X-CSRFToken"] = csrfToken;
+    }
+
+    return fetch(path, {
+      method,
+      headers,
+      credentials: "same-origin",
+      body: body ? JSON.stringify(body) : undefined,
+    }).then((response) => {
+      if (!response.ok) {
+        return response
+          .json()
+          .catch(() => ({}))
+          .then((data) => {
+            throw new Error(
+              data.message ||
+                `${method} ${path} failed with status ${response.status}`
+            );
+          });
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Get the id of the query currently open in the editor, if it is saved
+   * @returns {number|null} Query id or null for unsaved queries
+   */
+  function getQueryIdFromUrl() {
+    const match = window.location.pathname.match(/\/queries\/(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Fetch the list of data sources (cached)
+   * @returns {Promise<Array>} Data sources
+   */
+  function getDataSources() {
+    const isFresh =
+      Date.now() - dataSourcesCache.timestamp < API_CONFIG.dataSourcesCacheTtl;
+
+    if (!dataSourcesCache.promise || !isFresh) {
+      dataSourcesCache.timestamp = Date.now();
+      dataSourcesCache.promise = request("GET", "/api/data_sources").catch(
+        (error) => {
+          dataSourcesCache.promise = null;
+          throw error;
+        }
+      );
+    }
+    return dataSourcesCache.promise;
+  }
+
+  /**
+   * Fetch the schema (tables and their columns) of a data source (cached)
+   * Newer Redash versions load the schema in a background job
+   * @param {number} dataSourceId - Data source id
+   * @returns {Promise<Array>} Tables ({ name, columns })
+   */
+  function getDataSourceSchema(dataSourceId) {
+    if (!schemaCache[dataSourceId]) {
+      schemaCache[dataSourceId] = request(
+        "GET",
+        `/api/data_sources/${dataSourceId}/schema`
+      )
+        .then((data) => (data.job ? waitForSchemaJob(data.job) : data.schema))
+        .then((schema) => schema || [])
+        .catch((error) => {
+          delete schemaCache[dataSourceId];
+          throw error;
+        });
+    }
+    return schemaCache[dataSourceId];
+  }
+
+  /**
+   * Poll a schema refresh job until it finishes
+   * @param {Object} job - Job returned by the schema endpoint
+   * @param {number} [polls] - Number of times the job was polled so far
+   * @returns {Promise<Array>} Tables ({ name, columns })
+   */
+  function waitForSchemaJob(job, polls = 0) {
+    if (job.status === JOB_STATUS.SUCCESS) {
+      const result = job.result;
+      return Promise.resolve(
+        Array.isArray(result) ? result : result && result.schema
+      );
+    }
+    if (job.status === JOB_STATUS.FAILURE) {
+      return Promise.reject(new Error(job.error || "Failed to load schema"));
+    }
+    if (job.status === JOB_STATUS.CANCELLED) {
+      return Promise.reject(new Error("Loading the schema was cancelled"));
+    }
+    if (polls >= API_CONFIG.schemaJobMaxPolls) {
+      return Promise.reject(new Error("Timed out loading the schema"));
+    }
+    return new Promise((resolve) => {
+      setTimeout(resolve, API_CONFIG.pollInterval);
+    })
+      .then(() => request("GET", `/api/jobs/${job.id}`))
+      .then((data) => waitForSchemaJob(data.job, polls + 1));
+  }
+
+  /**
+   * Fetch a saved query
+   * @param {number} queryId - Query id
+   * @returns {Promise<Object>} Query object
+   */
+  function getQuery(queryId) {
+    return request("GET", `/api/queries/${queryId}`);
+  }
+
+  /**
+   * Name of the data source selected in the query editor
+   * @returns {string|null} Data source name
+   */
+  function getSelectedDataSourceName() {
+    if (
+      window.CompletionHandler &&
+      window.CompletionHandler.getCurrentDataSource
+    ) {
+      return window.CompletionHandler.getCurrentDataSource();
+    }
+    const element = document.querySelector(
+      ".editor__left__data-source .ant-select-selection-item"
+    );
+    return element ? element.innerText.trim() : null;
+  }
+
+  /**
+   * Resolve the id of the data source selected in the query editor
+   * Falls back to the saved query's data source when the selector can't be matched
+   * @returns {Promise<number|null>} Data source id
+   */
+  function getCurrentDataSourceId() {
+    const selectedName = getSelectedDataSourceName();
+
+    return getDataSources()
+      .then((dataSources) => {
+        const match = dataSources.find(
+          (dataSource) => dataSource.name === selectedName
+        );
+        return match ? match.id : null;
+      })
+      .catch((error) => {
+        customLogger.warn("Re-Redash: Failed to load data sources:", error);
+        return null;
+      })
+      .then((dataSourceId) => {
+        if (dataSourceId !== null) return dataSourceId;
+
+        const queryId = getQueryIdFromUrl();
+        if (!queryId) return null;
+        return getQuery(queryId).then((query) => query.data_source_id);
+      });
+  }
+
+  /**
+   * Fetch a query result by id
+   * @param {number} queryResultId - Query result id
+   * @returns {Promise<Object>} Query result
+   */
+  function getQueryResult(queryResultId) {
+    return request("GET", `/api/query_results/${queryResultId}`).then(
+      (data) => data.query_result
+    );
+  }
+
+  /**
+   * Cancel a running job
+   * @param {string} jobId - Job id
+   * @returns {Promise} Resolves when the cancel request was sent
+   */
+  function cancelJob(jobId) {
+    return request("DELETE", `/api/jobs/${jobId}`);
+  }
+
+  /**
+   * Create an error for a cancelled execution
+   * @returns {Error} Error flagged with `cancelled`
+   */
+  function createCancelledError() {
+    const error = new Error("Query execution was cancelled");
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Poll a job until it reaches a terminal state
+   * A job still pending or running after the timeout is cancelled
+   * @param {Object} job - Job returned by the API
+   * @param {Object} options - { onStatusChange, shouldCancel, timeout }, the
+   *   timeout in ms defaults to API_CONFIG.queryJobTimeout
+   * @returns {Promise<Object>} Query result of the finished job
+   */
+  function waitForJob(job, options = {}) {
+    const timeout = options.timeout || API_CONFIG.queryJobTimeout;
+    const deadline = Date.now() + timeout;
+
+    return new Promise((resolve, reject) => {
+      let lastStatus = null;
+
+      function check(currentJob) {
+        if (currentJob.status !== lastStatus) {
+          lastStatus = currentJob.status;
+          if (options.onStatusChange) {
+            options.onStatusChange(currentJob);
+          }
+        }
+
+        if (currentJob.status === JOB_STATUS.SUCCESS) {
+          getQueryResult(currentJob.query_result_id).then(resolve, reject);
+          return;
+        }
+        if (currentJob.status === JOB_STATUS.FAILURE) {
+          reject(new Error(currentJob.error || "Query execution failed"));
+          return;
+        }
+        if (currentJob.status === JOB_STATUS.CANCELLED) {
+          reject(createCancelledError());
+          return;
+        }
+
+        if (options.shouldCancel && options.shouldCancel()) {
+          cancelJob(currentJob.id)
+            .catch((error) => {
+              customLogger.warn("Re-Redash: Failed to cancel job:", error);
+            })
+            .then(() => reject(createCancelledError()));
+          return;
+        }
+
+        if (Date.now() >= deadline) {
+          const duration =
+            timeout >= 60000
+              ? `${Math.round(timeout / 60000)} minutes`
+              : `${Math.round(timeout / 1000)} seconds`;
+          cancelJob(currentJob.id)
+            .catch((error) => {
+              customLogger.warn("Re-Redash: Failed to cancel job:", error);
+            })
+            .then(() =>
+              reject(
+                new Error(
+                  `Query execution timed out: the job didn't finish within ${duration}`
+                )
+              )
+            );
+          return;
+        }
+
+        setTimeout(() => {
+          request("GET", `/api/jobs/${currentJob.id}`)
+            .then((data) => check(data.job))
+            .catch(reject);
+        }, API_CONFIG.pollInterval);
+      }
+
+      check(job);
+    });
+  }
+
+  /**
+   * Execute a query text and wait for its result
+   * @param {Object} options - { query, dataSourceId, parameters, onStatusChange, shouldCancel, timeout }
+   * @returns {Promise<Object>} Query result ({ data: { columns, rows }, runtime, retrieved_at })
+   */
+  function runQuery(options) {
+    const body = {
+      query: options.query,
+      data_source_id: options.dataSourceId,
+      max_age: 0,
+      parameters: options.parameters || {},
+    };
+
+    return request("POST", "/api/query_results", body).then((data) => {
+      // Cached or synchronous results come back directly
+      if (data.query_result) {
+        return data.query_result;
+      }
+      if (!data.job) {
+        throw new Error("Unexpected response from /api/query_results");
+      }
+      return waitForJob(data.job, options);
+    });
+  }
+
+  window.RedashApi = {
+    JOB_STATUS,
+    request,
+    runQuery,
+    waitForJob,
+    cancelJob,
+    getQueryResult,
+    getQuery,
+    getQueryIdFromUrl,
+    getDataSources,
+    getDataSourceSchema,
+    getCurrentDataSourceId,
+  };
+})();
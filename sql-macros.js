@@ -0,0 +1,292 @@
+/**
+ * Re-Redash SQL Macros
+ * Expands the `@name(arg, ...)` macros defined in the extension settings
+ * into plain SQL before a query is sent to Redash
+ */
+
+(function () {
+  "use strict";
+
+  // Library used until one is saved in the extension settings
+  const DEFAULT_LIBRARY = [
+    "-- One macro per line: name(arg, ...) = SQL using $arg for the arguments",
+    "-- Indented lines continue the macro above",
+    "last_n_days(n, column) = $column >= current_date - interval '$n' day",
+  ].join("\n");
+
+  // `name(a, b) = body`, the leading `@` and the argument list are optional
+  const DEFINITION_PATTERN =
+    /^@?([A-Za-z_]\w*)\s*(?:\(([^)]*)\))?\s*=\s*([\s\S]*)$/;
+
+  // Macro calls, `@name` not preceded by an identifier character
+  const CALL_PATTERN = /(^|[^\w@])@([A-Za-z_]\w*)/g;
+
+  // `$arg` placeholders in macro bodies
+  const PLACEHOLDER_PATTERN = /\$([A-Za-z_]\w*)/g;
+
+  // Arguments that are a single name, number or string, used as they are;
+  // other arguments are put in parentheses so they stay one expression
+  const SIMPLE_ARGUMENT_PATTERN =
+    /^(?:[\w$]+|"[^"]*"|`[^`]*`|'(?:[^']|'')*')(?:\.(?:[\w$]+|"[^"]*"|`[^`]*`))*$/;
+
+  // Macros using macros are expanded at most this many levels deep
+  const MAX_DEPTH = 10;
+
+  // Macros by name, from the library last received from the content script
+  let currentMacros = parseLibrary(DEFAULT_LIBRARY).macros;
+
+  /**
+   * Parse a macro library
+   * @param {string} text - Library text, one macro per line
+   * @returns {Object} { macros, errors } - macros ({ name, params, body }) by
+   *   name, and a message for every line that couldn't be parsed
+   */
+  function parseLibrary(text) {
+    const macros = {};
+    const errors = [];
+    let previous = null;
+
+    String(text || "")
+      .split("\n")
+      .forEach((line, index) => {
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith("--")) return;
+
+        // Indented lines continue the body of the macro above
+        if (/^\s/.test(line)) {
+          if (previous) {
+            previous.body += `\n${trimmed}`;
+          } else {
+            errors.push(`Line ${lineNumber}: no macro to continue.`);
+          }
+          return;
+        }
+
+        previous = null;
+        const match = trimmed.match(DEFINITION_PATTERN);
+        if (!match) {
+          errors.push(
+            `Line ${lineNumber}: expected "name(arg, ...) = SQL", got "${trimmed}".`
+          );
+          return;
+        }
+
+        const [, name, paramList = "", body] = match;
+        const params = paramList
+          .split(",")
+          .map((param) => param.trim())
+          .filter(Boolean);
+        const invalid = params.find((param) => !/^[A-Za-z_]\w*$/.test(param));
+        if (invalid) {
+          errors.push(`Line ${lineNumber}: "${invalid}" is not a valid name.`);
+          return;
+        }
+        if (new Set(params).size !== params.length) {
+          errors.push(`Line ${lineNumber}: @${name} repeats an argument.`);
+          return;
+        }
+        if (macros[name]) {
+          errors.push(`Line ${lineNumber}: @${name} is already defined.`);
+          return;
+        }
+
+        macros[name] = { name, params, body: body.trim() };
+        previous = macros[name];
+      });
+
+    return { macros, errors };
+  }
+
+  /**
+   * Replace the macro library, and tell the notebook to refresh its previews
+   * @param {string|null} text - Library text, null for the default library
+   */
+  function setLibrary(text) {
+    const { macros, errors } = parseLibrary(
+      text === null || text === undefined ? DEFAULT_LIBRARY : text
+    );
+    errors.forEach((error) =>
+      customLogger.warn("Re-Redash: Invalid SQL macro:", error)
+    );
+    currentMacros = macros;
+    customLogger.log(
+      `Re-Redash: Loaded ${Object.keys(macros).length} SQL macros`
+    );
+    window.dispatchEvent(new CustomEvent("sqlMacrosChanged"));
+  }
+
+  /**
+   * Get the macros of the current library
+   * @returns {Array<Object>} Macros ({ name, params, body })
+   */
+  function getMacros() {
+    return Object.values(currentMacros);
+  }
+
+  /**
+   * Read the arguments of a macro call, splitting at the commas outside
+   * parentheses, strings, quoted identifiers and comments
+   * @param {string} text - SQL text
+   * @param {number} start - Offset of the opening parenthesis
+   * @param {Array<Object>} tokens - SqlSplitter tokens of the text
+   * @returns {Object|null} { args, end } - trimmed arguments and the offset
+   *   after the closing parenthesis, null if it isn't closed
+   */
+  function readArguments(text, start, tokens) {
+    const args = [];
+    let depth = 0;
+    let argStart = start + 1;
+
+    for (const token of tokens) {
+      if (token.end <= argStart) continue;
+      // The call can't go on past the end of its statement
+      if (token.type === "separator") return null;
+      if (token.type !== "code") continue;
+
+      for (let i = Math.max(token.start, argStart); i < token.end; i++) {
+        const char = text[i];
+        if (char === "(") {
+          depth++;
+        } else if (char === ")" && depth > 0) {
+          depth--;
+        } else if (char === ")" || (char === "," && depth === 0)) {
+          args.push(text.slice(argStart, i).trim());
+          argStart = i + 1;
+          if (char === ")") {
+            // `@name()` has no arguments rather than an empty one
+            const isEmpty = args.length === 1 && args[0] === "";
+            return { args: isEmpty ? [] : args, end: i + 1 };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the calls of defined macros in SQL text, ignoring strings and
+   * comments; other `@` words (like SQL Server variables) are left alone
+   * @param {string} text - SQL text
+   * @param {Object} [macros] - Macros by name, the current library by default
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {Array<Object>} Calls ({ name, args, start, end })
+   * @throws {Error} If a call has the wrong number of arguments
+   */
+  function findMacroCalls(text, macros = currentMacros, splitterOptions = {}) {
+    const tokens = window.SqlSplitter.tokenize(text, splitterOptions);
+    const codeTokens = tokens.filter((token) => token.type === "code");
+    const calls = [];
+    CALL_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = CALL_PATTERN.exec(text))) {
+      const start = match.index + match[1].length;
+      const name = match[2];
+      const macro = macros[name];
+      const inCode = codeTokens.some(
+        (token) => token.start <= start && start < token.end
+      );
+      if (!macro || !inCode) continue;
+
+      const nameEnd = start + 1 + name.length;
+      let args = [];
+      let end = nameEnd;
+      if (text[nameEnd] === "(") {
+        const call = readArguments(text, nameEnd, tokens);
+        if (!call) {
+          throw new Error(`@${name} is missing its closing parenthesis.`);
+        }
+        ({ args, end } = call);
+      }
+
+      if (args.length !== macro.params.length) {
+        const count = macro.params.length;
+        const noun = count === 1 ? "argument" : "arguments";
+        const expected = count
+          ? `${count} ${noun} (${macro.params.join(", ")})`
+          : "no arguments";
+        throw new Error(`@${name} expects ${expected}, got ${args.length}.`);
+      }
+
+      calls.push({ name, args, start, end });
+      CALL_PATTERN.lastIndex = end;
+    }
+    return calls;
+  }
+
+  /**
+   * Fill a macro's body with the arguments of a call
+   * Outside of strings, an argument that is more than a single name, number
+   * or string is put in parentheses, so `@double(a + b)` with `$x * 2`
+   * becomes `(a + b) * 2`
+   * @param {Object} macro - Macro ({ params, body })
+   * @param {Array<string>} args - Call arguments
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {string} SQL
+   */
+  function applyMacro(macro, args, splitterOptions = {}) {
+    const codeTokens = window.SqlSplitter.tokenize(
+      macro.body,
+      splitterOptions
+    ).filter((token) => token.type === "code");
+
+    return macro.body.replace(
+      PLACEHOLDER_PATTERN,
+      (placeholder, name, offset) => {
+        const index = macro.params.indexOf(name);
+        if (index === -1) return placeholder;
+
+        const arg = args[index];
+        const inCode = codeTokens.some(
+          (token) => token.start <= offset && offset < token.end
+        );
+        return inCode && !SIMPLE_ARGUMENT_PATTERN.test(arg) ? `(${arg})` : arg;
+      }
+    );
+  }
+
+  /**
+   * Expand all macro calls in SQL text, including the calls macro bodies
+   * make to other macros
+   * @param {string} text - SQL text
+   * @param {Object} [macros] - Macros by name, the current library by default
+   * @param {Object} [splitterOptions] - SqlSplitter options (dialect)
+   * @returns {string} SQL without macro calls
+   * @throws {Error} If a call is invalid or macros use each other endlessly
+   */
+  function expand(text, macros = currentMacros, splitterOptions = {}) {
+    let result = text;
+    for (let depth = 0; depth <= MAX_DEPTH; depth++) {
+      const calls = findMacroCalls(result, macros, splitterOptions);
+      if (calls.length === 0) return result;
+
+      result = calls
+        .reverse()
+        .reduce(
+          (sql, call) =>
+            sql.slice(0, call.start) +
+            applyMacro(macros[call.name], call.args, splitterOptions) +
+            sql.slice(call.end),
+          result
+        );
+    }
+    throw new Error(
+      `Macros are nested more than ${MAX_DEPTH} levels deep, a macro probably uses itself.`
+    );
+  }
+
+  // The library is read from the extension settings by the content script
+  window.addEventListener("reRedashSqlMacros", function (event) {
+    setLibrary(event.detail.library);
+  });
+
+  window.SqlMacros = {
+    DEFAULT_LIBRARY,
+    parseLibrary,
+    setLibrary,
+    getMacros,
+    findMacroCalls,
+    expand,
+  };
+})();
@@ -0,0 +1,297 @@
+/**
+ * Re-Redash SQL Splitter
+ * Tokenizer-based statement splitter that understands string literals,
+ * quoted identifiers, comments and dollar quoting, so that a ';' is only
+ * treated as a separator when it really ends a statement
+ */
+
+(function () {
+  "use strict";
+
+  // Default splitter options
+  const SPLITTER_CONFIG = {
+    separator: ";",
+    // MySQL-style backslash escapes inside '...' (E'...' strings always allow them)
+    backslashEscapes: false,
+    // T-SQL style [bracket identifiers]
+    bracketIdentifiers: true,
+    // Postgres-style /* nested /* block */ comments */
+    nestedComments: true,
+  };
+
+  // Options of the dialects that can be passed as `dialect`
+  const DIALECTS = {
+    // '...' strings use backslash escapes and block comments don't nest
+    mysql: { backslashEscapes: true, nestedComments: false },
+  };
+
+  // Data source types (as reported by Redash) of each dialect
+  const DIALECT_TYPES = {
+    mysql: /mysql|mariadb|memsql|clickhouse|bigquery/i,
+  };
+
+  const DOLLAR_TAG_PATTERN = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+  /**
+   * Find the end offset of a quoted region that starts at `start`
+   * @param {string} text - Source text
+   * @param {number} start - Offset of the opening quote
+   * @param {string} closeChar - Closing quote character
+   * @param {boolean} allowBackslash - Whether backslash escapes the next char
+   * @returns {number} Offset just past the closing quote (or text length)
+   */
+  function skipQuoted(text, start, closeChar, allowBackslash) {
+    let i = start + 1;
+    while (i < text.length) {
+      const ch = text[i];
+      if (allowBackslash && ch === "\\") {
+        i += 2;
+        continue;
+      }
+      if (ch === closeChar) {
+        // Doubled quote is an escaped quote ('it''s', "a""b", `a``b`, [a]]b])
+        if (text[i + 1] === closeChar) {
+          i += 2;
+          continue;
+        }
+        return i + 1;
+      }
+      i++;
+    }
+    return text.length;
+  }
+
+  /**
+   * Find the end offset of a (possibly nested) block comment
+   * @param {string} text - Source text
+   * @param {number} start - Offset of the opening '/*'
+   * @param {boolean} allowNesting - Whether '/*' inside opens a nested comment
+   * @returns {number} Offset just past the closing '*\/' (or text length)
+   */
+  function skipBlockComment(text, start, allowNesting) {
+    let depth = 0;
+    let i = start;
+    while (i < text.length) {
+      if (text[i] === "/" && text[i + 1] === "*" && (allowNesting || !depth)) {
+        depth++;
+        i += 2;
+      } else if (text[i] === "*" && text[i + 1] === "/") {
+        depth--;
+        i += 2;
+        if (depth === 0) return i;
+      } else {
+        i++;
+      }
+    }
+    return text.length;
+  }
+
+  /**
+   * Check whether the character before `index` allows a string prefix such as E'...'
+   * @param {string} text - Source text
+   * @param {number} index - Offset of the prefix character
+   * @returns {boolean} True if the prefix starts a new token
+   */
+  function isTokenBoundary(text, index) {
+    return index === 0 || !/[A-Za-z0-9_$]/.test(text[index - 1]);
+  }
+
+  /**
+   * Combine splitter options with the defaults and the options of their dialect
+   * @param {Object} options - Splitter options, `dialect` names one of DIALECTS
+   * @returns {Object} Complete options
+   */
+  function resolveOptions(options) {
+    return { ...SPLITTER_CONFIG, ...DIALECTS[options.dialect], ...options };
+  }
+
+  /**
+   * Find the dialect to split the SQL of a data source with
+   * @param {string} dataSourceType - Data source type, e.g. "mysql" or "pg"
+   * @returns {string|null} Dialect name, null for the default options
+   */
+  function getDialect(dataSourceType) {
+    const dialect = Object.keys(DIALECT_TYPES).find((name) =>
+      DIALECT_TYPES[name].test(dataSourceType || "")
+    );
+    return dialect || null;
+  }
+
+  /**
+   * Tokenize SQL text into coarse tokens
+   * Token types: "string", "identifier", "line-comment", "block-comment",
+   * "dollar-string", "separator", "code"
+   * @param {string} text - SQL source
+   * @param {Object} options - Splitter options
+   * @returns {Array} Array of { type, start, end, terminated }
+   */
+  function tokenize(text, options = {}) {
+    const config = resolveOptions(options);
+    const tokens = [];
+    let codeStart = 0;
+    let i = 0;
+
+    function pushCode(upTo) {
+      if (upTo > codeStart) {
+        tokens.push({
+          type: "code",
+          start: codeStart,
+          end: upTo,
+          terminated: true,
+        });
+      }
+    }
+
+    function pushToken(type, start, end, terminated = true) {
+      pushCode(start);
+      tokens.push({ type, start, end, terminated });
+      codeStart = end;
+      i = end;
+    }
+
+    while (i < text.length) {
+      const ch = text[i];
+      const next = text[i + 1];
+
+      if (ch === "-" && next === "-") {
+        const newline = text.indexOf("\n", i);
+        pushToken("line-comment", i, newline === -1 ? text.length : newline);
+      } else if (ch === "/" && next === "*") {
+        const end = skipBlockComment(text, i, config.nestedComments);
+        const terminated = end >= i + 4 && text.slice(end - 2, end) === "*/";
+        pushToken("block-comment", i, end, terminated);
+      } else if (ch === "'") {
+        const escapeString =
+          i > 0 &&
+          (text[i - 1] === "E" || text[i - 1] === "e") &&
+          isTokenBoundary(text, i - 1);
+        const start = escapeString ? i - 1 : i;
+        const end = skipQuoted(
+          text,
+          i,
+          "'",
+          escapeString || config.backslashEscapes
+        );
+        pushToken("string", start, end, text[end - 1] === "'" && end - 1 > i);
+      } else if (ch === '"' || ch === "`") {
+        const end = skipQuoted(text, i, ch, false);
+        pushToken("identifier", i, end, text[end - 1] === ch && end - 1 > i);
+      } else if (ch === "[" && config.bracketIdentifiers) {
+        const end = skipQuoted(text, i, "]", false);
+        pushToken("identifier", i, end, text[end - 1] === "]");
+      } else if (ch === "$" && isTokenBoundary(text, i)) {
+        const match = text.slice(i).match(DOLLAR_TAG_PATTERN);
+        if (match) {
+          const tag = match[0];
+          const close = text.indexOf(tag, i + tag.length);
+          const end = close === -1 ? text.length : close + tag.length;
+          pushToken("dollar-string", i, end, close !== -1);
+        } else {
+          i++;
+        }
+      } else if (text.startsWith(config.separator, i)) {
+        pushToken("separator", i, i + config.separator.length);
+      } else {
+        i++;
+      }
+    }
+
+    pushCode(text.length);
+    return tokens;
+  }
+
+  /**
+   * Split SQL text into statements
+   * @param {string} text - SQL source
+   * @param {Object} options - Splitter options
+   * @returns {Array} Array of { text, start, end } where start/end are offsets
+   *   of the trimmed statement (without its separator) in the source text
+   */
+  function splitStatements(text, options = {}) {
+    if (!text) return [];
+
+    const statements = [];
+    let statementStart = 0;
+
+    function pushStatement(rawStart, rawEnd) {
+      const raw = text.slice(rawStart, rawEnd);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed.length === 0) return;
+      const start = rawStart + leading;
+      statements.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+
+    tokenize(text, options).forEach((token) => {
+      if (token.type === "separator") {
+        pushStatement(statementStart, token.start);
+        statementStart = token.end;
+      }
+    });
+
+    pushStatement(statementStart, text.length);
+    return statements;
+  }
+
+  /**
+   * Check whether a statement only consists of comments and whitespace
+   * @param {string} text - SQL source
+   * @param {Object} options - Splitter options
+   * @returns {boolean} True if there is no executable code
+   */
+  function isCommentOnly(text, options = {}) {
+    return tokenize(text, options).every(
+      (token) =>
+        token.type === "line-comment" ||
+        token.type === "block-comment" ||
+        (token.type === "code" && !text.slice(token.start, token.end).trim())
+    );
+  }
+
+  /**
+   * Check whether text ends inside a '--' comment, so that a separator
+   * appended on the same line would be commented out
+   * @param {string} text - SQL source
+   * @param {Object} options - Splitter options
+   * @returns {boolean} True if the last token is a line comment
+   */
+  function endsInLineComment(text, options = {}) {
+    const tokens = tokenize(text.trimEnd(), options);
+    const last = tokens[tokens.length - 1];
+    return !!last && last.type === "line-comment";
+  }
+
+  /**
+   * Join statements back into a single SQL text that splits into the same
+   * statements, except that comment-only statements are part of the statement
+   * after them: some databases refuse a statement without code
+   * @param {Array<string>} statements - Statement texts
+   * @param {Object} options - Splitter options
+   * @returns {string} Joined SQL text
+   */
+  function joinStatements(statements, options = {}) {
+    const separator = options.separator || SPLITTER_CONFIG.separator;
+
+    return statements
+      .map((statement) => statement.trim())
+      .filter((statement) => statement.length > 0)
+      .map((statement, index, all) => {
+        if (index === all.length - 1) return statement;
+        if (isCommentOnly(statement, options)) return statement;
+        // Keep the separator out of a trailing '--' comment
+        return endsInLineComment(statement, options)
+          ? `${statement}\n${separator}`
+          : `${statement}${separator}`;
+      })
+      .join("\n\n");
+  }
+
+  window.SqlSplitter = {
+    getDialect,
+    tokenize,
+    splitStatements,
+    joinStatements,
+    isCommentOnly,
+    endsInLineComment,
+  };
+})();